@@ -8,9 +8,67 @@ export const CFG = {
     gripRange: 15,
     gripStrength: 0.95,
     ghostTimeout: 3000,
-    handScale: 1.0
+    handScale: 1.0,
+    softBodyWorker: true,   // Integrate SoftBody in a Web Worker (falls back to main thread)
+
+    // Material (live values; a MATERIALS preset writes them, Tuner tweaks them)
+    material: 'jelly',
+    damping: 0.88,          // Velocity kept per step
+    plasticity: 0,          // 0 = springs back, >0 = keeps dents (rest shape flows)
+    yieldDist: 0,           // Displacement before plastic flow starts
+    volume: 0.8,            // Internal pressure strength (enclosed volume vs rest volume)
+    ruptureThreshold: 0.6,  // Pressure that bursts the skin
+
+    // Pressure / rupture (see SoftBody._accumulatePressure)
+    bulkModulus: 100,       // Pressure per unit of relative compression
+    ruptureRadius: 3.0,     // Blown-out area around the weakest spot
+    ruptureBurst: 0.6,      // Outward kick of the blowout
+    ruptureHeal: 2.0,       // Seconds until the skin holds pressure again
+
+    // Tearing (see SoftBody._checkTears)
+    tearStrain: 5,          // Edge stretch beyond rest length (x rest) that rips it; 0 = never tears
+    tearPatchRadius: 4,     // Piece ripped out around a pinch
+    mergeRate: 0.6,         // How fast a released fragment drifts back (1/s)
+    mergeDist: 0.6,         // Offset at which it fuses back into the body
+
+    // Multiple soft bodies
+    collisionStiffness: 0.25, // Vertex push-out when a body dents another
+    bodyRestitution: 0.4,     // Bounce between bodies
+    bodyTether: 1.5,          // Spring pulling each body back to its spawn point
+
+    // AR cubes as physics objects
+    cubeRadius: 1.1,          // Collision sphere of a cube (box is 1.5)
+    cubeMass: 3,              // vs body mass = radius^3
+    cubeDrag: 0.8,            // Free-flight damping per second
+    cubeGrabRange: 4,         // Pinch reach to pick up a cube
+    throwScale: 1.0,          // Hand velocity -> cube velocity
+    throwMaxSpeed: 80,
+
+    // Palm pose (MediaPipe world landmarks)
+    palmPush: 0.12,           // Open palm pushes the skin along its normal
+    cradleRange: 4,           // Palm within this distance of a body's surface...
+    cradleFacing: 0.5,        // ...and facing its center (cos of the angle) cradles it
+    cradleHold: 4,            // Drift damping of a cradled body (1/s)
+    twistGain: 1.0,           // Wrist twist -> body rotation while cradled
+
+    // Per-finger collision (needs handData.lm3D; without it the index tip pushes with pushRange)
+    fingerRange: 3,           // Push sphere around each fingertip
+    palmRange: 5,             // ...and around the palm center
+    fingerPush: 0.1,          // Push strength per sphere
+    fingerGrabRange: 2        // Fingertip this close to the skin joins a pinch grab
 };
 
+// Extra souls spawned next to the main sphere (installations: several bodies on screen)
+// { pos: [x, y, z], radius, spring, color, material }
+export const SOULS = [];
+
+// Black holes (PhysicsWorld.singularities). The first one is the main hole the fist charges.
+// { ndc: [x, y] } pins a hole to a screen point, { pos: [x, y, z] } places it in the world;
+// mass / spin / horizonRadius / influenceRadius ... override BLACK_HOLE for that hole only
+export const SINGULARITIES = [
+    { ndc: [-0.78, 0.62] }     // Top-left corner (HUD idle tunnel is drawn here too)
+];
+
 export const BLACK_HOLE = {
     // dynamics (Realistic Spaghettification Physics)
     mass: 850,           // Balanced acceleration for controlled pinch
@@ -20,6 +78,42 @@ export const BLACK_HOLE = {
     eps: 2.5,            // Softer center prevents singularity
     influenceRadius: 85, // Range of gravitational influence
 
+    // Placement
+    spawn: 'corner',     // 'corner' = SINGULARITIES anchor, 'fist' = appears at the fist and follows it
+    followRate: 8,       // How tightly a held hole follows the fist (1/s)
+    release: 'stay',     // After the fist opens: 'stay' or 'drift' (keeps the hand's last motion)
+    releaseDrag: 0.6,    // Drift slowdown per second
+
+    // Binary merger (two fists): orbit -> inspiral -> merge into a heavier remnant
+    binary: {
+        enabled: true,
+        gravity: 60,     // Mutual pull multiplier (orbits in seconds, not minutes)
+        inspiral: 0.5,   // Orbit drag multiplier (higher = faster merge)
+        mergeRadius: 1.0, // Merge when closer than (horizonA + horizonB) * mergeRadius
+        radiated: 0.05,  // Mass fraction carried away by the merger
+        maxTime: 20      // Seconds before the plunge is forced
+    },
+
+    // Mass budget: swallowed matter feeds the hole, a starved hole evaporates (Hawking)
+    growth: {
+        enabled: true,
+        vertexMass: 0.5, // Mass per fully swallowed SoftBody vertex (sphere has 1500)
+        neuronMass: 10,  // Mass per swallowed neuron
+        starveTime: 3,   // Seconds without food before evaporation starts
+        evaporation: 6,  // Mass lost per second at the base mass (rate ~ 1/M^2)
+        minMass: 0.3,    // Evaporation floor (fraction of the base mass)
+        emitEvery: 4     // Evaporated mass per emitted particle
+    },
+
+    // Rebirth after the sphere is fully swallowed: collapse -> white-hole burst -> re-expansion
+    rebirth: {
+        enabled: true,
+        delay: 1.5,      // Seconds the hole keeps collapsing after the sphere vanished
+        duration: 2.5,   // Re-expansion of the sphere from its center
+        neuronStagger: 0.8, // Neurons leave the white hole one by one over this many seconds
+        style: 'burst'   // 'burst' = white-hole blast with overshoot, 'bloom' = soft unfolding
+    },
+
     // Suction speed control (NEW)
     suctionSpeed: 0.15,  // 0.05 = very slow, 0.5 = fast (default: 0.15)
 
@@ -38,7 +132,10 @@ export const BLACK_HOLE = {
     // VISUALS
     accretion: {
         enabled: true,
-        particles: 520,          // tier 0
+        particles: 520,          // tier 0 (CPU simulation)
+        gpu: true,               // Orbit/heat in a vertex shader (AccretionDiskGPU); false = CPU reference
+        gpuParticles: 40000,     // tier 0 on the GPU (tiers 1/2 draw 70% / 40%)
+        gpuSize: 0.4,
         innerR: 8,
         outerR: 34,
         thickness: 2.2,
@@ -53,12 +150,16 @@ export const BLACK_HOLE = {
         enabled: true,
         strength: 0.35,
         radius: 28,
-        feather: 16
+        feather: 16,
+        warpVideo: true  // AR: bend the camera feed too (LensingPass)
     },
     rayCount: 8, // Base ray count for HUD
     jets: {
         enabled: true,
         particles: 120,
+        gpu: true,               // JetsGPU; false = CPU reference
+        gpuParticles: 8000,
+        gpuSize: 0.35,
         length: 60,
         speed: 14,
         jitter: 0.35,
@@ -67,6 +168,67 @@ export const BLACK_HOLE = {
     }
 };
 
+// Fixed-timestep simulation (same feel at any refresh rate / quality tier)
+export const TIMESTEP = {
+    fixedDt: 1 / 60,        // Physics step in seconds
+    interpolate: true       // Blend rendered vertices between the last two steps
+};
+
+// Post-processing (PostFX): which effects run is up to the QUALITY tier (fxBloom / fxChroma / fxGrain / fxLook)
+export const POSTFX = {
+    enabled: true,
+    cssOverlays: false,     // true = keep the CSS .color-grade / .scanlines layers instead of the in-shader look
+    bloom: {
+        strength: 0.9,
+        threshold: 0.55,    // Brightness that starts to glow (additive particles, wireframe)
+        radius: 1.0         // Blur spread at half resolution
+    },
+    chroma: {
+        base: 0,            // Red/blue split in px at the screen edge
+        stress: 4           // + px per unit of STATE.stressEMA
+    },
+    grain: 0.06,
+    scanlines: 0.35,        // AR only, like the CSS overlay
+    grade: 1                // AR colour grade (warm center, dark teal edges)
+};
+
+// Hand depth from MediaPipe (MathUtils.getHandDepth / getHandLandmarks3D)
+export const HAND_DEPTH = {
+    enabled: true,          // false = every hand flat on the sphere plane (z = 0)
+    refPalm: 0.16,          // Wrist -> middle knuckle, in screen heights, of a hand at z = 0
+    gain: 1.0,              // Palm-size depth multiplier
+    landmarkGain: 1.0,      // MediaPipe per-landmark z relief multiplier
+    maxDepth: 20,           // Clamp of the wrist depth (scene units)
+    occlusion: true,        // Depth-only hand proxy in WebGL + HUD skeleton hidden behind the sphere
+    proxyRadius: 0.12       // Proxy finger thickness (fraction of the palm length)
+};
+
+// Persistent hand IDs across frames (input/HandIdentity.js); image units = fraction of the frame
+export const HAND_ID = {
+    maxJump: 0.25,          // Farthest a palm may move between frames and keep its ID
+    handednessCost: 0.15,   // Extra match cost when the label disagrees with the track's settled hand
+    labelInertia: 0.8,      // Smoothing of the handedness vote (higher = label flips later)
+    labelSwitch: 0.4,       // Vote a track needs before its settled label flips
+    lostTimeout: 400        // ms a hand may vanish and come back with the same ID
+};
+
+// Hand landmark filter (utils/OneEuroFilter.js): live values; a SMOOTHING_PRESETS entry writes them, Tuner tweaks them.
+// Units: landmarks in image fractions, times in seconds
+export const SMOOTHING = {
+    preset: 'auto',         // 'auto' = picked per device in main.js (M1 mode / small screen / desktop)
+    minCutoff: 1.0,         // Hz at rest: lower = steadier, more lag
+    beta: 4,                // Speed -> cutoff: higher = less lag on fast swipes
+    dCutoff: 1.0,           // Hz, smoothing of the speed estimate
+    predict: 40             // ms of linear prediction (hides MediaPipe latency), 0 = off
+};
+
+export const SMOOTHING_PRESETS = {
+    desktop: { label: 'Десктоп', minCutoff: 1.0, beta: 4, dCutoff: 1.0, predict: 40 },
+    m1: { label: 'Apple Silicon (12 FPS)', minCutoff: 1.5, beta: 3, dCutoff: 1.0, predict: 60 },
+    mobile: { label: 'Мобільний', minCutoff: 0.7, beta: 3, dCutoff: 1.0, predict: 40 },
+    raw: { label: 'Без фільтра', minCutoff: 1000, beta: 0, dCutoff: 1.0, predict: 0 }
+};
+
 // Low-light mode settings for improved detection in dark conditions
 export const LOW_LIGHT = {
     enabled: false,
@@ -97,6 +259,7 @@ export const STATE = {
     fpsAvg: 60,
     sphereVelocity: new THREE.Vector3(),
     recording: false,
+    playback: false,
     recordedPath: [],
     lastGesture: null,
     gestureTimeout: 0,
@@ -113,8 +276,43 @@ export const STATE = {
     fistHoldStart: null
 };
 
+// SoftBody material presets (PhysicsWorld.setMaterial, Tuner, voice)
+export const MATERIALS = {
+    jelly: {
+        label: 'Желе',
+        spring: 0.035, damping: 0.88, plasticity: 0, yieldDist: 0, volume: 0.8, ruptureThreshold: 0.6, tearStrain: 5, gripStrength: 0.95,
+        visual: { color: 0xffffff, opacity: 0.85, wireframe: true }
+    },
+    rubber: {
+        label: 'Гума',
+        spring: 0.09, damping: 0.8, plasticity: 0, yieldDist: 0, volume: 0.6, ruptureThreshold: 1.5, tearStrain: 9, gripStrength: 0.7,
+        visual: { color: 0xff8ad8, opacity: 0.9, wireframe: true }
+    },
+    clay: {
+        label: 'Глина',
+        spring: 0.015, damping: 0.7, plasticity: 0.08, yieldDist: 0.4, volume: 0.4, ruptureThreshold: 0.8, tearStrain: 3, gripStrength: 0.95,
+        visual: { color: 0xffb070, opacity: 0.95, wireframe: true }
+    },
+    liquidMetal: {
+        label: 'Рідкий метал',
+        spring: 0.02, damping: 0.95, plasticity: 0, yieldDist: 0, volume: 0.9, ruptureThreshold: 2.0, tearStrain: 0, gripStrength: 0.6,
+        visual: { color: 0xc8d8ff, opacity: 0.65, wireframe: false }
+    }
+};
+
+// Soul sphere rendering (SoulSurface): 'wireframe' = vertex-colored MeshBasicMaterial, 'shaded' = lit surface
+export const SURFACE = {
+    mode: 'wireframe',
+    rimPower: 2.5,          // Fresnel falloff (higher = thinner rim)
+    rimStrength: 1.2,
+    glow: 0.5,              // Subsurface-like glow through the skin
+    dentGain: 1.5,          // How strongly dents darken / glow (dent depth normalized to radius / 4)
+    stressGain: 0.6,        // STATE.stressEMA -> extra glow and rim
+    iridescence: 0.35       // Thin-film color shift on the rim, 0 = off
+};
+
 export const QUALITY = [
-    { name: "0", dprCap: 2.0, mpEvery: 1, hudEvery: 1, physicsEvery: 1, sparkSpawn: 6, sparkCount: 140, kRayCount: 8, kDiskParticles: 520 },
-    { name: "1", dprCap: 2.0, mpEvery: 2, hudEvery: 1, physicsEvery: 1, sparkSpawn: 4, sparkCount: 120, kRayCount: 5, kDiskParticles: 360 },
-    { name: "2", dprCap: 1.75, mpEvery: 3, hudEvery: 1, physicsEvery: 2, sparkSpawn: 2, sparkCount: 90, kRayCount: 3, kDiskParticles: 220 }
+    { name: "0", dprCap: 2.0, mpEvery: 1, hudEvery: 1, maxPhysicsSteps: 4, sparkSpawn: 6, sparkCount: 140, kRayCount: 8, kDiskParticles: 520, glLensing: true, fxBloom: true, fxChroma: true, fxGrain: true, fxLook: true },
+    { name: "1", dprCap: 2.0, mpEvery: 2, hudEvery: 1, maxPhysicsSteps: 4, sparkSpawn: 4, sparkCount: 120, kRayCount: 5, kDiskParticles: 360, glLensing: true, fxBloom: true, fxChroma: true, fxGrain: false, fxLook: true },
+    { name: "2", dprCap: 1.75, mpEvery: 3, hudEvery: 1, maxPhysicsSteps: 3, sparkSpawn: 2, sparkCount: 90, kRayCount: 3, kDiskParticles: 220, glLensing: false, fxBloom: false, fxChroma: false, fxGrain: false, fxLook: false }
 ];
@@ -108,6 +108,36 @@ export class AudioManager {
         }
     }
 
+    // Black hole merger: rising chirp, then a damped tone that settles lower for a heavier remnant
+    triggerRingdown(massRatio = 2) {
+        if (!this.ctx || !this.masterGain) return;
+
+        try {
+            if (this.ctx.state === 'suspended') this.ctx.resume();
+
+            const now = this.ctx.currentTime;
+            const osc = this.ctx.createOscillator();
+            const gain = this.ctx.createGain();
+            const ringFreq = 90 / Math.sqrt(Math.max(1, massRatio));
+
+            osc.type = 'sine';
+            osc.frequency.setValueAtTime(40, now);
+            osc.frequency.exponentialRampToValueAtTime(ringFreq * 3, now + 0.35); // Chirp
+            osc.frequency.exponentialRampToValueAtTime(ringFreq, now + 0.8);      // Settle
+
+            gain.gain.setValueAtTime(0, now);
+            gain.gain.linearRampToValueAtTime(0.12, now + 0.35);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + 3.0);
+
+            osc.connect(gain);
+            gain.connect(this.masterGain);
+            osc.start(now);
+            osc.stop(now + 3.0);
+        } catch (e) {
+            console.warn("Audio Effect Error", e);
+        }
+    }
+
     destroy() {
         if (!this.ctx) return;
         try {
@@ -1,14 +1,28 @@
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
 import { STATE } from '../config.js';
 
+// On-disk recording format (see docs/RECORDING_FORMAT.md)
+export const RECORDING_FORMAT = 'ai-soul-recording';
+export const RECORDING_VERSION = 2; // v2: hands carry `world` landmarks (v1 files still load)
+const LANDMARK_COUNT = 21;
+
+const round = (v, d = 5) => Math.round(v * 10 ** d) / 10 ** d;
+
 export class RecordingSystem {
     constructor(postLineCallback) {
         this.data = [];
         this.maxFrames = 300;
         this.postLine = postLineCallback;
+
+        // Playback state
+        this.playing = false;
+        this.loop = true;
+        this.playStart = 0;
+        this.playIdx = 0;
     }
 
     addFrame(hands) {
-        if (!STATE.recording) return;
+        if (!STATE.recording || this.playing) return;
         const frame = { t: Date.now(), hands: JSON.parse(JSON.stringify(hands)) };
         this.data.push(frame);
         if (this.data.length > this.maxFrames) {
@@ -18,6 +32,7 @@ export class RecordingSystem {
     }
 
     clear() {
+        this.stopPlayback();
         this.data = [];
     }
 
@@ -27,4 +42,171 @@ export class RecordingSystem {
             duration: this.data.length > 1 ? (this.data[this.data.length - 1].t - this.data[0].t) / 1000 : 0
         };
     }
+
+    // --- PLAYBACK ---
+
+    startPlayback(now = performance.now()) {
+        if (this.data.length < 2) {
+            if (this.postLine) this.postLine('> Немає запису для відтворення');
+            return false;
+        }
+        STATE.recording = false;
+        STATE.playback = true;
+        this.playing = true;
+        this.playStart = now;
+        this.playIdx = -1;
+        if (this.postLine) this.postLine(`> Відтворення: ${this.getStats().duration.toFixed(1)}s`);
+        return true;
+    }
+
+    stopPlayback() {
+        if (!this.playing) return;
+        this.playing = false;
+        STATE.playback = false;
+        STATE.hands = {};
+        if (this.postLine) this.postLine('> Відтворення зупинено');
+    }
+
+    togglePlayback(now) {
+        if (this.playing) this.stopPlayback();
+        else this.startPlayback(now);
+        return this.playing;
+    }
+
+    /**
+     * Advance playback clock. Returns hands of the frame due at `now`
+     * (rehydrated with THREE.Vector3) or null if no new frame is due yet.
+     */
+    nextFrame(now = performance.now()) {
+        if (!this.playing) return null;
+
+        const t0 = this.data[0].t;
+        const duration = this.data[this.data.length - 1].t - t0;
+        let elapsed = now - this.playStart;
+
+        if (elapsed > duration) {
+            if (!this.loop) {
+                this.stopPlayback();
+                return null;
+            }
+            if (duration > 0) {
+                // Restart from the top, keeping phase; a long stall (background tab) skips whole loops
+                const loops = Math.floor(elapsed / duration);
+                this.playStart += loops * duration;
+                elapsed -= loops * duration;
+                this.playIdx = -1;
+            } else {
+                elapsed = 0; // Single-instant recording: hold its frame
+            }
+        }
+
+        // Skip to the last frame whose original timestamp has passed
+        let idx = this.playIdx;
+        while (idx + 1 < this.data.length && this.data[idx + 1].t - t0 <= elapsed) idx++;
+        if (idx === this.playIdx) return null;
+
+        this.playIdx = idx;
+        return this.hydrate(this.data[idx].hands);
+    }
+
+    // JSON-cloned hands lose their Vector3 type; restore it for physics.
+    // Derived poses (lm3D, palm) are dropped and rebuilt from the landmarks by the replay.
+    hydrate(hands) {
+        const out = {};
+        for (const k in hands) {
+            const { lm3D, palm, ...h } = hands[k] || {};
+            if (!h.pos) continue;
+            out[k] = {
+                ...h,
+                pos: new THREE.Vector3(h.pos.x, h.pos.y, h.pos.z),
+                rawPos: h.rawPos ? new THREE.Vector3(h.rawPos.x, h.rawPos.y, h.rawPos.z) : null,
+                lm: h.lm ? h.lm.map(p => ({ x: p.x, y: p.y, z: p.z })) : [],
+                world: h.world && h.world.length ? h.world.map(p => ({ x: p.x, y: p.y, z: p.z })) : null
+            };
+        }
+        return out;
+    }
+
+    // --- EXPORT / IMPORT (NDJSON) ---
+
+    /**
+     * Serialize the recording: header line with capture metadata, then one frame per line.
+     * `meta` carries camera/viewport/calibration info gathered by the caller.
+     */
+    toNDJSON(meta = {}) {
+        const t0 = this.data.length ? this.data[0].t : 0;
+        const header = {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            createdAt: new Date().toISOString(),
+            frames: this.data.length,
+            duration: this.getStats().duration,
+            camera: meta.camera || null,
+            viewport: meta.viewport || null,
+            video: meta.video || null,
+            calibration: meta.calibration || null
+        };
+
+        const lines = [JSON.stringify(header)];
+        for (const frame of this.data) {
+            const hands = [];
+            for (const id in frame.hands) {
+                const h = frame.hands[id];
+                if (!h || !h.pos) continue;
+                hands.push({
+                    id,
+                    pos: [round(h.pos.x, 4), round(h.pos.y, 4), round(h.pos.z, 4)],
+                    pinch: !!h.pinch,
+                    fistFactor: round(h.fistFactor || 0, 4),
+                    handedness: h.handedness || null,
+                    lm: (h.lm || []).map(p => [round(p.x), round(p.y), round(p.z || 0)]),
+                    world: h.world ? h.world.map(p => [round(p.x), round(p.y), round(p.z || 0)]) : null
+                });
+            }
+            lines.push(JSON.stringify({ t: frame.t - t0, hands }));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Parse a recording produced by toNDJSON() and replace the current data.
+     * Returns the header. Throws on unknown format or newer version.
+     */
+    fromNDJSON(text) {
+        const lines = String(text).split(/\r?\n/).filter(l => l.trim().length);
+        if (!lines.length) throw new Error('Empty recording file');
+
+        const header = JSON.parse(lines[0]);
+        if (header.format !== RECORDING_FORMAT) throw new Error(`Unknown recording format: ${header.format}`);
+        if (!(header.version <= RECORDING_VERSION)) throw new Error(`Unsupported recording version: ${header.version}`);
+
+        const data = [];
+        for (let i = 1; i < lines.length; i++) {
+            const f = JSON.parse(lines[i]);
+            if (!f || typeof f !== 'object' || Array.isArray(f)) throw new Error(`Frame is not an object at line ${i + 1}`);
+            if (!Number.isFinite(f.t)) throw new Error(`Bad frame time at line ${i + 1}`);
+            if (data.length && f.t < data[data.length - 1].t) throw new Error(`Frame out of order at line ${i + 1}`);
+            const hands = {};
+            for (const h of f.hands || []) {
+                if (!Array.isArray(h.pos) || h.pos.length !== 3) throw new Error(`Bad hand position at line ${i + 1}`);
+                if (h.lm && h.lm.length && h.lm.length !== LANDMARK_COUNT) throw new Error(`Expected ${LANDMARK_COUNT} landmarks at line ${i + 1}`);
+                if (h.world && h.world.length !== LANDMARK_COUNT) throw new Error(`Expected ${LANDMARK_COUNT} world landmarks at line ${i + 1}`);
+                hands[h.id] = {
+                    pos: { x: h.pos[0], y: h.pos[1], z: h.pos[2] },
+                    rawPos: { x: h.pos[0], y: h.pos[1], z: h.pos[2] },
+                    pinch: !!h.pinch,
+                    fistFactor: h.fistFactor || 0,
+                    handedness: h.handedness || null,
+                    lm: (h.lm || []).map(p => ({ x: p[0], y: p[1], z: p[2] })),
+                    world: h.world ? h.world.map(p => ({ x: p[0], y: p[1], z: p[2] })) : null // v1: none
+                };
+            }
+            data.push({ t: f.t, hands });
+        }
+
+        this.stopPlayback();
+        STATE.recording = false;
+        this.data = data;
+        return header;
+    }
 }
@@ -0,0 +1,115 @@
+import { HAND_ID } from '../config.js';
+
+/**
+ * HandIdentity - стабільні ID рук між кадрами
+ *
+ * MediaPipe lists hands per frame, so the array index swaps when hands cross or one drops out.
+ * Each detection is matched to a track by its palm center (track position extrapolated with its
+ * velocity) plus a handedness penalty; the assignment with the lowest total cost wins, matches
+ * farther than HAND_ID.maxJump start a new track. Hysteresis:
+ *   - a track's handedness is a smoothed vote, one flipped MediaPipe label does not change it
+ *   - a lost track keeps its ID for HAND_ID.lostTimeout ms; a hand coming back nearby gets it again
+ * onEnter(id, hand) / onLeave(id) fire when a track starts / expires.
+ */
+export class HandIdentity {
+    constructor() {
+        this.tracks = [];    // { id, x, y, vx, vy, vote, label, seenAt }
+        this.nextId = 0;
+        this.onEnter = null; // (id, hand) => void
+        this.onLeave = null; // (id) => void
+    }
+
+    // Palm center (wrist + middle knuckle) in normalized image coordinates
+    static center(lm) {
+        return { x: (lm[0].x + lm[9].x) * 0.5, y: (lm[0].y + lm[9].y) * 0.5 };
+    }
+
+    // +score for 'Right', -score for 'Left'
+    static vote(hand) {
+        if (hand.handedness === 'Right') return hand.score ?? 1;
+        if (hand.handedness === 'Left') return -(hand.score ?? 1);
+        return 0;
+    }
+
+    _cost(track, c, hand, now) {
+        const dt = Math.min(now - track.seenAt, 100); // Do not extrapolate a lost hand far
+        let cost = Math.hypot(c.x - (track.x + track.vx * dt), c.y - (track.y + track.vy * dt));
+        if (track.label && hand.handedness && hand.handedness !== track.label) {
+            cost += HAND_ID.handednessCost * (hand.score ?? 1);
+        }
+        return cost;
+    }
+
+    /**
+     * Sets `hand.id` on every entry of HandTracker's res.hands (and settles `hand.handedness`).
+     * @param {Array} hands - [{ lm, handedness, score }]
+     * @param {number} [now] - ms
+     * @returns {number[]} ids, parallel to `hands`
+     */
+    assign(hands, now = performance.now()) {
+        const maxJump = HAND_ID.maxJump;
+        const centers = hands.map(h => HandIdentity.center(h.lm));
+        const tracks = this.tracks;
+
+        // Cheapest assignment; a new track costs maxJump, so any real match beats it (2 hands: tiny search)
+        const cost = centers.map((c, d) => tracks.map(t => this._cost(t, c, hands[d], now)));
+        const pick = new Array(hands.length).fill(-1);
+        const used = new Array(tracks.length).fill(false);
+        let best = pick.slice();
+        let bestCost = Infinity;
+        const search = (d, total) => {
+            if (total >= bestCost) return;
+            if (d === hands.length) {
+                bestCost = total;
+                best = pick.slice();
+                return;
+            }
+            pick[d] = -1;
+            search(d + 1, total + maxJump);
+            for (let t = 0; t < tracks.length; t++) {
+                if (used[t] || cost[d][t] >= maxJump) continue;
+                used[t] = true;
+                pick[d] = t;
+                search(d + 1, total + cost[d][t]);
+                used[t] = false;
+            }
+            pick[d] = -1;
+        };
+        search(0, 0);
+
+        const ids = [];
+        const inertia = HAND_ID.labelInertia;
+        hands.forEach((hand, d) => {
+            const c = centers[d];
+            let track = best[d] >= 0 ? tracks[best[d]] : null;
+            if (track) {
+                const dt = now - track.seenAt;
+                if (dt > 0) {
+                    track.vx = (c.x - track.x) / dt;
+                    track.vy = (c.y - track.y) / dt;
+                }
+                track.x = c.x;
+                track.y = c.y;
+                track.seenAt = now;
+                track.vote = track.vote * inertia + HandIdentity.vote(hand) * (1 - inertia);
+                if (track.label !== 'Right' && track.vote > HAND_ID.labelSwitch) track.label = 'Right';
+                if (track.label !== 'Left' && track.vote < -HAND_ID.labelSwitch) track.label = 'Left';
+            } else {
+                track = { id: this.nextId++, x: c.x, y: c.y, vx: 0, vy: 0, vote: HandIdentity.vote(hand), label: hand.handedness || null, seenAt: now };
+                tracks.push(track);
+                if (this.onEnter) this.onEnter(track.id, hand);
+            }
+            hand.id = track.id;
+            if (track.label) hand.handedness = track.label;
+            ids.push(track.id);
+        });
+
+        // Tracks unseen for longer than the grace period are gone
+        for (let t = tracks.length - 1; t >= 0; t--) {
+            if (now - tracks[t].seenAt <= HAND_ID.lostTimeout) continue;
+            const [gone] = tracks.splice(t, 1);
+            if (this.onLeave) this.onLeave(gone.id);
+        }
+        return ids;
+    }
+}
@@ -1,4 +1,5 @@
 import { LOW_LIGHT, M1_MODE } from '../config.js';
+import { HandIdentity } from './HandIdentity.js';
 
 // Detect Apple Silicon
 function isAppleSilicon() {
@@ -41,12 +42,37 @@ export class HandTracker {
             selfieMode: true
         });
 
+        this.m1Mode = useM1Mode; // main.js picks the hand filter preset from it
         this.throttleMs = useM1Mode ? M1_MODE.throttleMs : 0;
         this.lastSendTime = 0;
+
+        // Persistent hand IDs (onEnter / onLeave hooks live on it)
+        this.identity = new HandIdentity();
     }
 
+    /**
+     * Results come with `res.hands`: one entry per detected hand
+     * { id, lm, world, handedness, score } — persistent ID (HandIdentity), normalized image landmarks,
+     * world landmarks (meters, origin near the hand center) and 'Left' / 'Right' from multiHandedness.
+     */
     onResults(callback) {
-        this.hands.onResults(callback);
+        this.hands.onResults((res) => {
+            res.hands = HandTracker.unpack(res);
+            this.identity.assign(res.hands);
+            callback(res);
+        });
+    }
+
+    static unpack(res) {
+        const lms = res.multiHandLandmarks || [];
+        const worlds = res.multiHandWorldLandmarks || [];
+        const handed = res.multiHandedness || [];
+        return lms.map((lm, i) => ({
+            lm,
+            world: worlds[i] || null,
+            handedness: handed[i] ? handed[i].label : null,
+            score: handed[i] ? handed[i].score : 1
+        }));
     }
 
     async send(image) {
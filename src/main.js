@@ -1,11 +1,13 @@
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
-import { CFG, STATE, QUALITY, LOW_LIGHT, M1_MODE, BLACK_HOLE } from './config.js';
+import { CFG, STATE, QUALITY, LOW_LIGHT, M1_MODE, BLACK_HOLE, TIMESTEP, SOULS, MATERIALS, SMOOTHING } from './config.js';
 import { setupScene } from './visuals/SceneSetup.js';
 import { HandTracker } from './input/HandTracker.js';
 import { PhysicsWorld } from './physics/PhysicsWorld.js';
 import { HUD } from './visuals/HUD.js';
 import { NeuralNet } from './visuals/NeuralNet.js';
 import { SparkSystem } from './visuals/Particles.js';
+import { PostFX } from './visuals/PostFX.js';
+import { HandProxy } from './visuals/HandProxy.js';
 import { Tuner } from './visuals/Tuner.js';
 import { AudioManager } from './core/AudioManager.js';
 import { HapticEngine } from './core/HapticEngine.js';
@@ -15,7 +17,9 @@ import { Calibration } from './core/Calibration.js';
 import { RecordingSystem } from './core/RecordingSystem.js';
 import { LinePicker } from './core/SoulDB.js';
 import { TwoHandInteraction } from './utils/TwoHandInteraction.js';
-import { getScreenPos, get3DFromScreen, clamp01 } from './utils/MathUtils.js';
+import { FixedTimestep } from './utils/FixedTimestep.js';
+import { LandmarkFilter, setSmoothingPreset } from './utils/OneEuroFilter.js';
+import { getScreenPos, get3DFromScreen, getHandDepth, getHandLandmarks3D, getPalmPose, clamp01 } from './utils/MathUtils.js';
 
 // --- DOM ELEMENTS ---
 const $ = (id) => document.getElementById(id);
@@ -36,6 +40,10 @@ const el = {
     btnLowLight: $("btn-lowlight"),
     btnReset: $("btn-reset"),
     btnTuning: $("btn-tuning"),
+    btnReplay: $("btn-replay"),
+    btnExport: $("btn-export"),
+    btnImport: $("btn-import"),
+    fileImport: $("file-import"),
     infoPanel: $("info-panel"),
     hudStatus: $("hud-status")
 };
@@ -45,6 +53,8 @@ const { scene, camera, renderer } = setupScene(el.gl);
 const audio = new AudioManager();
 window.audio = audio; // Expose for physics triggers
 const tracker = new HandTracker();
+// Hand filter preset per device: throttled M1 tracking needs more prediction, phones more smoothing
+setSmoothingPreset(SMOOTHING.preset === 'auto' ? (tracker.m1Mode ? 'm1' : (window.innerWidth < 800 ? 'mobile' : 'desktop')) : SMOOTHING.preset);
 const hud = new HUD(el.hud, el);
 const sparks = new SparkSystem(scene);
 const gestures = new GestureRecognizer();
@@ -53,53 +63,163 @@ const recorder = new RecordingSystem(postLine);
 const messenger = new LinePicker();
 const twoHand = new TwoHandInteraction();
 const tuner = new Tuner(STATE, BLACK_HOLE); // Press 'T' to toggle
+const timestep = new FixedTimestep(TIMESTEP.fixedDt, QUALITY[0].maxPhysicsSteps);
 
-// Hand smoothing (EMA filter for trembling fix)
-const smoothedHands = {};
-const SMOOTH_FACTOR = 0.35; // 0 = no smoothing, 1 = frozen
+// Hand filtering: One Euro on all landmarks (SMOOTHING), one filter pair per persistent hand ID
+const handFilters = {};
+
+// A hand that left for good (HandIdentity grace period over): drop its per-ID state
+tracker.identity.onLeave = (id) => {
+    delete handFilters[id];
+    hud.forgetHand(id);
+};
 
 // --- CORE MESHES ---
-const geo = new THREE.IcosahedronGeometry(CFG.radius, window.innerWidth < 800 ? 4 : 5);
-geo.setAttribute("color", new THREE.BufferAttribute(new Float32Array(geo.attributes.position.count * 3), 3));
-const mat = new THREE.MeshBasicMaterial({
-    vertexColors: true,
-    wireframe: true,
-    transparent: true,
-    opacity: 0.85,
-    blending: THREE.AdditiveBlending
-});
-const sphere = new THREE.Mesh(geo, mat);
+function createSoulMesh(radius = CFG.radius, color = null) {
+    const geo = new THREE.IcosahedronGeometry(radius, window.innerWidth < 800 ? 4 : 5);
+    geo.setAttribute("color", new THREE.BufferAttribute(new Float32Array(geo.attributes.position.count * 3), 3));
+    const mat = new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        wireframe: true,
+        transparent: true,
+        opacity: 0.85,
+        blending: THREE.AdditiveBlending
+    });
+    const mesh = new THREE.Mesh(geo, mat);
+    if (color !== null) mesh.userData.tint = new THREE.Color(color);
+    return mesh;
+}
+
+const sphere = createSoulMesh();
 scene.add(sphere);
 
 const neural = new NeuralNet(scene);
-const physics = new PhysicsWorld(scene, sphere, neural);
+const physics = new PhysicsWorld(scene, sphere, neural, { worker: CFG.softBodyWorker });
 physics.initARObjects();
 
+// Extra souls (config + voice "душа")
+function spawnSoul({ pos = null, radius = null, spring, color = null, material } = {}) {
+    const r = radius || CFG.radius * (0.45 + Math.random() * 0.4);
+    const mesh = createSoulMesh(r, color !== null ? color : new THREE.Color().setHSL(Math.random(), 1, 0.6));
+    if (pos) {
+        mesh.position.fromArray(pos);
+    } else {
+        const angle = Math.random() * Math.PI * 2;
+        const dist = CFG.radius + r + 4;
+        mesh.position.set(Math.cos(angle) * dist, Math.sin(angle) * dist * 0.6, 0);
+    }
+    return physics.addBody(mesh, { radius: r, spring, material });
+}
+SOULS.forEach(spawnSoul);
+
+// Pressure burst: sparks at the blowout, rumble + haptics
+physics.onRupture = (worldPos, body, pressure) => {
+    sparks.spawn(worldPos, Math.round(20 + pressure * 20));
+    audio.triggerRumble(Math.min(1, 0.5 + pressure * 0.25));
+    HapticEngine.pulse(60);
+    postTechStatus('SKIN RUPTURE');
+};
+
+// Over-stretched skin rips a piece off: the soul complains about being torn apart
+physics.onTear = (worldPos, body, fragments) => {
+    sparks.spawn(worldPos, 40);
+    audio.triggerRumble(0.9);
+    HapticEngine.pulse(120);
+    say("overload", 0, true);
+    postTechStatus(`MESH TEAR: ${fragments} FRAGMENTS`);
+};
+
+// Binary merger: white flash (EventHorizon), ringdown and a heavier remnant
+physics.onMerge = (worldPos, remnant, mass) => {
+    sparks.spawn(worldPos, 120);
+    audio.triggerRingdown(mass / BLACK_HOLE.mass);
+    audio.triggerRumble(1.0);
+    HapticEngine.pulse(250);
+    updateSingularityStatus(`⚫ MERGER: REMNANT ${mass.toFixed(0)}`);
+};
+
+// Hawking evaporation: a starved hole leaks particles as it shrinks
+physics.onEvaporate = (worldPos, hole, particles) => {
+    sparks.spawn(worldPos, Math.min(particles, 8));
+};
+
+// Rebirth: the swallowed sphere comes back out of a white hole
+physics.onRebirth = (worldPos, style) => {
+    sparks.spawn(worldPos, style === 'bloom' ? 40 : 160);
+    audio.triggerSwell();
+    HapticEngine.pulse(style === 'bloom' ? 80 : 200);
+    STATE.fistHoldStart = null;
+    say("rebirth", 0, true);
+    updateSingularityStatus('✦ WHITE HOLE: REBIRTH');
+    setTimeout(() => updateSingularityStatus(''), 3000);
+};
+
+// Voice / gestures act on the body the user touched last
+const activeMesh = () => physics.activeBody.mesh;
+
 // Connect tuner to all objects for reset functionality
 tuner.neuralNet = neural;
 tuner.sphere = sphere;
 tuner.physics = physics;
+hud.singularities = physics.singularities;
+hud.bodies = physics.bodies;
+hud.contacts = physics.contacts;
+
+// Depth-only hands in the WebGL scene: the sphere is cut where a hand is in front of it
+const handProxy = new HandProxy(scene);
+
+// Post-processing: lensing, bloom, chromatic aberration, grain / AR look (canvas lens ring in HUD at the lowest tier)
+const postfx = new PostFX(renderer);
+hud.lensing = postfx.lensing;
 
 // --- VOICE ---
 const voice = new VoiceCommand({
-    'запис': () => { STATE.recording = !STATE.recording; postLine(STATE.recording ? '> Запис...' : '> Запис зупинено'); },
+    'запис': () => {
+        STATE.recording = !STATE.recording;
+        if (STATE.recording) recorder.clear();
+        postLine(STATE.recording ? '> Запис...' : '> Запис зупинено');
+    },
+    'відтвор': () => toggleReplay(),
     'стоп': () => { STATE.recording = false; postLine('> Стоп'); },
-    'скинути': () => { sphere.scale.setScalar(1); postLine('> Скинути розмір'); },
-    'більше': () => { sphere.scale.multiplyScalar(1.2); HapticEngine.pulse(30); },
-    'менше': () => { sphere.scale.multiplyScalar(0.8); HapticEngine.pulse(30); },
+    'скинути': () => { activeMesh().scale.setScalar(1); postLine('> Скинути розмір'); },
+    'більше': () => { activeMesh().scale.multiplyScalar(1.2); HapticEngine.pulse(30); },
+    'менше': () => { activeMesh().scale.multiplyScalar(0.8); HapticEngine.pulse(30); },
     'колір': () => {
         const hue = Math.random();
-        mat.color.setHSL(hue, 1, 0.5);
+        activeMesh().material.color.setHSL(hue, 1, 0.5);
         physics.arObjects.forEach(obj => obj.material.color.setHSL((hue + 0.5) % 1.0, 1, 0.5));
         postLine('> Колір змінено');
     },
-    'червоний': () => { mat.color.setHex(0xff0000); postLine('> Червоний'); },
-    'синій': () => { mat.color.setHex(0x0000ff); postLine('> Синій'); },
+    'червоний': () => { activeMesh().material.color.setHex(0xff0000); postLine('> Червоний'); },
+    'синій': () => { activeMesh().material.color.setHex(0x0000ff); postLine('> Синій'); },
+    'желе': () => setMaterial('jelly'),
+    'гума': () => setMaterial('rubber'),
+    'глина': () => setMaterial('clay'),
+    'метал': () => setMaterial('liquidMetal'),
+    'поверхня': () => setRenderMode('shaded'),
+    'сітка': () => setRenderMode('wireframe'),
+    'душа': () => {
+        spawnSoul();
+        postLine(`> Нова душа (${physics.bodies.length})`);
+    },
     'режим': () => toggleAR()
 });
 
 // --- STATE HELPERS ---
 
+function setRenderMode(mode) {
+    if (!physics.setRenderMode(mode)) return;
+    tuner.refresh();
+    postLine(mode === 'shaded' ? '> Поверхня' : '> Сітка');
+}
+
+function setMaterial(name) {
+    if (!physics.setMaterial(name)) return;
+    tuner.refresh();
+    postLine(`> Матеріал: ${MATERIALS[name].label}`);
+    HapticEngine.pulse(30);
+}
+
 function postLine(text) {
     // Redirect to HUD Status (Top-Left) -> REMOVED. 
     // User requested "Dialogue Only at Bottom". 
@@ -163,8 +283,13 @@ function say(type, cooldownMs = 8000, priority = false) {
     return true;
 }
 
-function triggerBlackHoleMode() {
+function triggerBlackHoleMode(fists = []) {
     STATE.mode = 'SINGULARITY';
+    // Two fists: one hole at each, orbiting into a merger
+    if (fists.length >= 2 && BLACK_HOLE.binary.enabled && physics.startBinary(fists[0], fists[1])) {
+        updateSingularityStatus('⚫⚫ BINARY INSPIRAL');
+        return;
+    }
     // Show status in header only (not in monologue)
     updateSingularityStatus('⚫ SINGULARITY ACTIVATED');
 }
@@ -234,11 +359,13 @@ function applyQuality(tier) {
 
     // Update Systems
     sparks.init(QUALITY[STATE.tier].sparkCount);
+    timestep.maxSteps = QUALITY[STATE.tier].maxPhysicsSteps;
 
     // Black Hole Visuals Quality
-    if (physics.disk) physics.disk.setQuality(STATE.tier);
-    if (physics.jets) physics.jets.setQuality(STATE.tier);
+    physics.setQuality(STATE.tier);
     BLACK_HOLE.rayCount = QUALITY[STATE.tier].kRayCount || 6;
+    postfx.setQuality(QUALITY[STATE.tier]);
+    document.body.classList.toggle('postfx-look', postfx.handlesLook); // CSS overlays off while the shader draws them
 
     // Renderer settings
     const dpr = window.devicePixelRatio || 1;
@@ -260,26 +387,41 @@ function resizeHUD() {
 }
 
 // --- MAIN LOOP ---
-let frames = 0, lastFpsTick = 0, animFrame = 0;
+let frames = 0, lastFpsTick = 0, lastFrameAt = 0;
 
 function animate() {
     requestAnimationFrame(animate);
-    animFrame++;
-    const q = QUALITY[STATE.tier];
 
-    const now = Date.now();
-    const deltaTime = 0.016; // Fix to 60fps for stability
+    const frameNow = performance.now();
+    const frameSeconds = lastFrameAt ? (frameNow - lastFrameAt) / 1000 : TIMESTEP.fixedDt;
+    lastFrameAt = frameNow;
 
-    // 1. Physics & Logic
-    if ((animFrame % q.physicsEvery) === 0) {
-        physics.update(STATE.hands, camera, deltaTime);
-        neural.update(STATE.stressEMA, sphere.scale.x, sphere.position, STATE.blackHolePos);
-        updateMonologue();
+    // 0. Replay recorded hands at their original timing
+    if (recorder.playing) {
+        const replayHands = recorder.nextFrame(frameNow);
+        if (replayHands) applyReplayFrame(replayHands);
     }
+
+    // 1. Physics & Logic (fixed substeps driven by real frame time)
+    const steps = timestep.advance(frameSeconds, (dt) => {
+        physics.snapshot();
+        physics.update(STATE.hands, camera, dt);
+        neural.update(STATE.stressEMA, sphere.scale.x, sphere.position, physics.singularities);
+    });
+    if (TIMESTEP.interpolate) physics.interpolate(timestep.alpha);
+    physics.updateSurfaces(frameSeconds);
+    if (steps > 0) updateMonologue();
     sparks.update();
 
     // 2. Rendering
-    renderer.render(scene, camera);
+    handProxy.update(STATE.hands);
+    postfx.render(scene, camera, {
+        holes: physics.singularities,
+        pull: STATE.blackHolePull,
+        video: STATE.ar ? el.vAR : null,
+        stress: STATE.stressEMA,
+        ar: STATE.ar
+    });
 
     // 3. FPS Monitoring
     frames++;
@@ -329,6 +471,9 @@ function updateMonologue() {
 
 // --- HAND HANDLER ---
 tracker.onResults((res) => {
+    // Recorded frames own the hands while replay is running
+    if (recorder.playing) return;
+
     const q = QUALITY[STATE.tier];
     hud.hudFrame++;
 
@@ -338,10 +483,17 @@ tracker.onResults((res) => {
     }
 
     const currentHands = {};
-    let maxFistFactor = 0;
 
-    if (res.multiHandLandmarks) {
-        res.multiHandLandmarks.forEach((lm, i) => {
+    if (res.hands) {
+        // Keyed by the persistent ID: hands crossing or dropping out keep their grabs and smoothing
+        res.hands.forEach(({ id, lm: rawLm, world: rawWorld, handedness }) => {
+            // Filtered landmarks drive detection (pinch, fist, gestures, HUD); the predicted ones only positions
+            const f = handFilters[id] || (handFilters[id] = { lm: new LandmarkFilter(), world: new LandmarkFilter() });
+            const now = performance.now() / 1000;
+            const lm = f.lm.filter(rawLm, now);
+            const lmAhead = f.lm.predict();
+            const world = rawWorld ? f.world.filter(rawWorld, now) : null;
+
             const palmSize = Math.hypot(lm[5].x - lm[17].x, lm[5].y - lm[17].y);
             const pinchDist = Math.hypot(lm[8].x - lm[4].x, lm[8].y - lm[4].y);
             const pinch = pinchDist < (palmSize * 0.6);
@@ -351,26 +503,25 @@ tracker.onResults((res) => {
             [8, 12, 16, 20].forEach(idx => avgTipDist += Math.hypot(lm[idx].x - lm[0].x, lm[idx].y - lm[0].y));
             avgTipDist /= 4;
             const fistFactor = clamp01((1.1 - avgTipDist / handScale) * 2.0);
-            if (fistFactor > maxFistFactor) maxFistFactor = fistFactor;
 
             const sPos = getScreenPos(lm[8].x, lm[8].y, el.vRaw);
-            const rawPos3D = get3DFromScreen(sPos.x, sPos.y, camera);
 
-            // Apply EMA smoothing to reduce trembling
-            if (!smoothedHands[i]) {
-                smoothedHands[i] = rawPos3D.clone();
-            } else {
-                smoothedHands[i].lerp(rawPos3D, 1 - SMOOTH_FACTOR);
-            }
-            const pos3D = smoothedHands[i].clone();
+            // Depth from palm size, landmarks in scene space (predicted: physics + rendering)
+            const lm3D = getHandLandmarks3D(lmAhead, el.vRaw, camera, getHandDepth(lmAhead, el.vRaw, camera));
+            const pos3D = lm3D[8].clone();
+            const rawTip = getScreenPos(rawLm[8].x, rawLm[8].y, el.vRaw);
+            const rawPos3D = get3DFromScreen(rawTip.x, rawTip.y, camera, pos3D.z); // Unfiltered tip, same depth
+
+            // 3D palm pose from the world landmarks (push direction, cradle, wrist twist)
+            const palm = getPalmPose(lm3D, world, handedness);
 
-            const handData = { pos: pos3D, pinch, lm, fistFactor, rawPos: rawPos3D };
-            currentHands[i] = handData;
+            const handData = { pos: pos3D, pinch, lm, lm3D, world, handedness, palm, fistFactor, rawPos: rawPos3D };
+            currentHands[id] = handData;
 
             gestures.addPoint(sPos.x, sPos.y);
 
             if (pinch) {
-                STATE.ghosts[i] = { ...handData, timestamp: Date.now() };
+                STATE.ghosts[id] = { ...handData, timestamp: Date.now() };
                 HapticEngine.onGrip();
 
                 // Check for specific UI interactions (Menu etc)
@@ -378,13 +529,43 @@ tracker.onResults((res) => {
             }
 
             if ((hud.hudFrame % q.hudEvery) === 0) {
-                hud.drawHand(lm, i, pinch, handData, camera, el.vRaw, sphere);
+                hud.drawHand(lm, id, pinch, handData, camera, el.vRaw, activeMesh());
             }
         });
     }
 
-    // Singularity Activation Logic with smooth transitions
+    updateFistActivation(currentHands);
+    applyTwoHand(currentHands);
+
+    STATE.hands = currentHands;
+    recorder.addFrame(currentHands);
+
+    // Re-recognize gestures
+    const g = gestures.recognize();
+    if (g) handleGesture(g);
+});
+
+// Singularity Activation Logic with smooth transitions
+function updateFistActivation(hands) {
     const now = Date.now();
+    let maxFistFactor = 0;
+    let fistPos = null;
+    const fists = [];
+    for (const k in hands) {
+        const h = hands[k];
+        if (h.fistFactor > maxFistFactor) {
+            maxFistFactor = h.fistFactor;
+            fistPos = h.pos;
+        }
+        if (h.fistFactor > 0.5) fists.push(h.pos);
+    }
+
+    // Fist placement: the hole appears where the fist is and follows it while held
+    if (BLACK_HOLE.spawn === 'fist') {
+        if (maxFistFactor > 0.5 && fistPos) physics.holdSingularity(fistPos);
+        else physics.releaseSingularity();
+    }
+
     let targetPull = 0;
     if (maxFistFactor > 0.5) {
         if (!STATE.fistHoldStart) STATE.fistHoldStart = now;
@@ -394,6 +575,8 @@ tracker.onResults((res) => {
         // Smooth decay when releasing fist
         targetPull = STATE.blackHolePull * 0.92; // Gradual decay
     }
+    // A running merger keeps the pull until the remnant forms
+    if (physics.binary) targetPull = Math.max(targetPull, STATE.blackHolePull);
     STATE.globalTunnelFactor = targetPull;
 
     // Smooth lerp for blackHolePull (prevents jarring transitions)
@@ -404,35 +587,101 @@ tracker.onResults((res) => {
     if (STATE.blackHolePull < 0.001) STATE.blackHolePull = 0;
 
     if (STATE.blackHolePull > 0.5 && STATE.mode !== 'SINGULARITY') {
-        triggerBlackHoleMode();
+        triggerBlackHoleMode(fists);
     } else if (STATE.blackHolePull < 0.05 && STATE.mode === 'SINGULARITY') {
         exitBlackHoleMode();
     }
+}
 
-    // Two Hand
-    const hKeys = Object.keys(currentHands);
+function applyTwoHand(hands) {
+    const hKeys = Object.keys(hands);
     if (hKeys.length >= 2) {
-        const res = twoHand.update(currentHands[hKeys[0]], currentHands[hKeys[1]]);
-        if (res && currentHands[hKeys[0]].pinch && currentHands[hKeys[1]].pinch) {
-            sphere.scale.multiplyScalar(res.scale);
-            sphere.rotation.z += res.rotate;
+        const res = twoHand.update(hands[hKeys[0]], hands[hKeys[1]]);
+        if (res && hands[hKeys[0]].pinch && hands[hKeys[1]].pinch) {
+            const mesh = activeMesh();
+            mesh.scale.multiplyScalar(res.scale);
+            mesh.rotation.z += res.rotate;
         }
     }
+}
 
-    STATE.hands = currentHands;
-    recorder.addFrame(currentHands);
+// --- REPLAY ---
+// Mirrors the live hand handler for frames coming from RecordingSystem
+function applyReplayFrame(hands) {
+    const q = QUALITY[STATE.tier];
+    hud.hudFrame++;
+    const drawHud = (hud.hudFrame % q.hudEvery) === 0;
 
-    // Re-recognize gestures
-    const g = gestures.recognize();
-    if (g) handleGesture(g);
-});
+    if (drawHud) {
+        hud.clear();
+        hud.drawGlobal(camera);
+    }
+
+    for (const k in hands) {
+        const h = hands[k];
+        if (h.lm.length && !h.lm3D) h.lm3D = getHandLandmarks3D(h.lm, el.vRaw, camera, getHandDepth(h.lm, el.vRaw, camera));
+        if (h.lm3D && !h.palm) h.palm = getPalmPose(h.lm3D, h.world, h.handedness);
+        if (drawHud && h.lm.length) hud.drawHand(h.lm, k, h.pinch, h, camera, el.vRaw, activeMesh());
+    }
+
+    updateFistActivation(hands);
+    applyTwoHand(hands);
+    STATE.hands = hands;
+}
+
+function toggleReplay() {
+    const playing = recorder.togglePlayback(performance.now());
+    if (el.btnReplay) el.btnReplay.classList.toggle('active', playing);
+    postTechStatus(playing ? '// REPLAY: ON' : '// REPLAY: OFF');
+}
+
+// --- RECORDING FILES ---
+function exportRecording() {
+    if (!recorder.data.length) {
+        postLine('> Немає запису для експорту');
+        return;
+    }
+    const text = recorder.toNDJSON({
+        camera: { fov: camera.fov, z: camera.position.z, aspect: camera.aspect },
+        viewport: { width: window.innerWidth, height: window.innerHeight, dpr: window.devicePixelRatio || 1 },
+        video: { width: el.vRaw.videoWidth || 0, height: el.vRaw.videoHeight || 0 },
+        calibration: { calibrated: STATE.calibrated, handScale: CFG.handScale, data: STATE.calibrationData }
+    });
+
+    const blob = new Blob([text], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ai-soul-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    postTechStatus(`// EXPORT: ${recorder.data.length} FRAMES`);
+}
+
+async function importRecording(file) {
+    if (!file) return;
+    try {
+        const header = recorder.fromNDJSON(await file.text());
+        if (el.btnReplay) el.btnReplay.classList.remove('active');
+        const vp = header.viewport;
+        if (vp && (vp.width !== window.innerWidth || vp.height !== window.innerHeight)) {
+            console.warn(`[AI SOUL] Recording viewport ${vp.width}x${vp.height} differs from current`);
+        }
+        postLine(`> Завантажено запис: ${recorder.data.length} кадрів`);
+    } catch (err) {
+        console.warn('Recording import failed:', err);
+        postLine(`> Помилка імпорту: ${err.message}`);
+    }
+}
 
 function handleGesture(g) {
     let text = '';
     switch (g) {
-        case 'circle': mat.color.setHSL(Math.random(), 1, 0.5); text = 'GESTURE: CIRCLE'; break;
-        case 'swipe-up': sphere.scale.multiplyScalar(1.2); text = 'GESTURE: SCALE+'; break;
-        case 'swipe-down': sphere.scale.multiplyScalar(0.8); text = 'GESTURE: SCALE-'; break;
+        case 'circle': activeMesh().material.color.setHSL(Math.random(), 1, 0.5); text = 'GESTURE: CIRCLE'; break;
+        case 'swipe-up': activeMesh().scale.multiplyScalar(1.2); text = 'GESTURE: SCALE+'; break;
+        case 'swipe-down': activeMesh().scale.multiplyScalar(0.8); text = 'GESTURE: SCALE-'; break;
     }
     if (text) postTechStatus(text);
 }
@@ -517,6 +766,21 @@ if (el.btnTuning) {
     });
 }
 
+// Replay Button
+if (el.btnReplay) {
+    el.btnReplay.addEventListener('click', toggleReplay);
+}
+
+// Recording Files
+if (el.btnExport) el.btnExport.addEventListener('click', exportRecording);
+if (el.btnImport && el.fileImport) {
+    el.btnImport.addEventListener('click', () => el.fileImport.click());
+    el.fileImport.addEventListener('change', () => {
+        importRecording(el.fileImport.files[0]);
+        el.fileImport.value = '';
+    });
+}
+
 // Reset Button
 if (el.btnReset) {
     el.btnReset.addEventListener('click', () => {
@@ -0,0 +1,259 @@
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { CFG, BLACK_HOLE } from '../config.js';
+import { PhysicsWorld } from './PhysicsWorld.js';
+import { createRng } from '../utils/MathUtils.js';
+
+/**
+ * Headless physics harness
+ *
+ * Runs PhysicsWorld (SoftBody + Singularity) without DOM, WebGL or the global STATE:
+ * - virtual clock advanced by a fixed dt per step
+ * - seeded RNG
+ * - explicit state object
+ * - hand input from a script function
+ *
+ * Usage (Node, three.js CDN import mapped by three-node.mjs):
+ *   const res = runHeadless({ steps: 10000, handScript: (i) => ({ 0: { pos: { x: 6, y: 0, z: 0 }, pinch: i < 300 } }) });
+ *   res.stats.hasNaN === false
+ */
+
+export function createHeadlessState(overrides = {}) {
+    return {
+        hands: {},
+        mode: 'NORMAL',
+        blackHolePull: 0,
+        blackHolePos: new THREE.Vector3(),
+        stressEMA: 0,
+        ...overrides
+    };
+}
+
+export function createHeadlessWorld({ seed = 1, detail = 4, state = createHeadlessState(), startTime = 0 } = {}) {
+    const clock = { now: startTime };
+
+    const geo = new THREE.IcosahedronGeometry(CFG.radius, detail);
+    geo.setAttribute("color", new THREE.BufferAttribute(new Float32Array(geo.attributes.position.count * 3), 3));
+    const sphere = new THREE.Mesh(geo);
+
+    const scene = new THREE.Scene();
+    scene.add(sphere);
+
+    const world = new PhysicsWorld(scene, sphere, null, {
+        state,
+        clock: () => clock.now,
+        rng: createRng(seed),
+        headless: true
+    });
+
+    return { world, sphere, scene, state, clock };
+}
+
+/**
+ * Add a second soft body to a headless world (same setup as the primary sphere).
+ * @returns {Object} PhysicsWorld body
+ */
+export function addHeadlessBody(world, { radius = CFG.radius, detail = 3, position = { x: 0, y: 0, z: 0 } } = {}) {
+    const geo = new THREE.IcosahedronGeometry(radius, detail);
+    geo.setAttribute("color", new THREE.BufferAttribute(new Float32Array(geo.attributes.position.count * 3), 3));
+    const mesh = new THREE.Mesh(geo);
+    mesh.position.set(position.x, position.y, position.z || 0);
+    return world.addBody(mesh, { radius });
+}
+
+// Script hands use plain {x, y, z}; physics expects THREE.Vector3
+function toHands(scripted) {
+    const hands = {};
+    if (!scripted) return hands;
+    for (const k in scripted) {
+        const h = scripted[k];
+        if (!h || !h.pos) continue;
+        const pos = new THREE.Vector3(h.pos.x, h.pos.y, h.pos.z || 0);
+        hands[k] = { pinch: false, fistFactor: 0, lm: [], ...h, pos, rawPos: pos.clone() };
+    }
+    return hands;
+}
+
+export function measure(softBody) {
+    const pos = softBody.currentPos;
+    const orig = softBody.origPos;
+    let hasNaN = false;
+    let maxDisplacement = 0;
+    let sumDisplacement = 0;
+
+    for (let i = 0; i < softBody.count; i++) {
+        const idx = i * 3;
+        const dx = pos[idx] - orig[idx];
+        const dy = pos[idx + 1] - orig[idx + 1];
+        const dz = pos[idx + 2] - orig[idx + 2];
+        const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (!isFinite(d)) {
+            hasNaN = true;
+            continue;
+        }
+        sumDisplacement += d;
+        if (d > maxDisplacement) maxDisplacement = d;
+    }
+
+    return {
+        hasNaN,
+        maxDisplacement,
+        meanDisplacement: softBody.count ? sumDisplacement / softBody.count : 0
+    };
+}
+
+/**
+ * Step the world N times and return final vertex positions.
+ *
+ * @param {Object} opts
+ * @param {number} [opts.steps=600]
+ * @param {number} [opts.dt=1/60] - Seconds per step (also advances the virtual clock)
+ * @param {number} [opts.seed=1]
+ * @param {number} [opts.detail=4] - Icosahedron detail
+ * @param {Function} [opts.handScript] - (step, timeSec, state) => { [id]: { pos, pinch, fistFactor } }
+ * @param {Object} [opts.blackHole] - Temporary BLACK_HOLE overrides (e.g. extreme Tuner values)
+ * @param {Object} [opts.singularityPos] - {x, y, z} world position of the hole
+ * @param {Function} [opts.onStep] - (step, ctx) => void, called after each step
+ */
+export function runHeadless(opts = {}) {
+    const {
+        steps = 600,
+        dt = 1 / 60,
+        seed = 1,
+        detail = 4,
+        handScript = null,
+        blackHole = null,
+        singularityPos = null,
+        onStep = null
+    } = opts;
+
+    const saved = {};
+    if (blackHole) {
+        for (const k in blackHole) {
+            saved[k] = BLACK_HOLE[k];
+            BLACK_HOLE[k] = blackHole[k];
+        }
+    }
+
+    try {
+        const ctx = createHeadlessWorld({ seed, detail, state: opts.state || createHeadlessState() });
+        const { world, state, clock } = ctx;
+        if (singularityPos) world.singularity.pos.set(singularityPos.x, singularityPos.y, singularityPos.z || 0);
+
+        for (let i = 0; i < steps; i++) {
+            const hands = toHands(handScript ? handScript(i, clock.now * 0.001, state) : null);
+            state.hands = hands;
+            world.update(hands, null, dt);
+            clock.now += dt * 1000;
+            if (onStep) onStep(i, ctx);
+        }
+
+        return {
+            positions: world.softBody.currentPos.slice(),
+            stats: { steps, ...measure(world.softBody), stressEMA: state.stressEMA },
+            state
+        };
+    } finally {
+        for (const k in saved) BLACK_HOLE[k] = saved[k];
+    }
+}
+
+// Largest per-coordinate gap between two position buffers
+function maxGap(a, b) {
+    let max = 0;
+    for (let i = 0; i < a.length; i++) {
+        const d = Math.abs(a[i] - b[i]);
+        if (!(d <= max)) max = d; // NaN counts as a gap
+    }
+    return max;
+}
+
+/**
+ * Regression checks (see three-node.mjs for running them under Node):
+ * - no NaN after 10k steps of a held singularity at the extreme Tuner values
+ * - the sphere returns to rest after a pinch grab is released (matches an untouched run, same seed)
+ * - a swallowed second body is reborn next to the primary one, pinched while it regrows,
+ *   with a bounded number of spatial-hash cells scanned per step
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.steps=10000] - Steps of the singularity run
+ * @param {number} [opts.restTolerance=1e-3] - Allowed gap to the untouched run after release
+ * @returns {{ ok: boolean, checks: Array<{ name, ok, value }> }}
+ */
+export function runChecks({ steps = 10000, restTolerance = 1e-3 } = {}) {
+    const checks = [];
+
+    const extreme = runHeadless({
+        steps,
+        blackHole: { mass: 3000, maxAccel: 500, eps: 1.0, drag: 0, spin: 50 },
+        handScript: (i, t, state) => {
+            state.mode = 'SINGULARITY';
+            state.blackHolePull = 1;
+            return null;
+        }
+    });
+    checks.push({ name: 'no NaN at extreme BLACK_HOLE', ok: !extreme.stats.hasNaN, value: extreme.stats });
+
+    // A swallowed second body re-expands from scale 0.01 right next to the primary one, while a hand
+    // keeps pinching at it. Cost is counted in spatial-hash cells scanned, not time: a tiny body sees
+    // world distances huge in its local units, and an unbounded lookup scans millions of empty cells.
+    const rebirth = BLACK_HOLE.rebirth;
+    const { world, clock } = createHeadlessWorld();
+    const second = addHeadlessBody(world, { radius: CFG.radius * 0.6, position: { x: CFG.radius * 0.9, y: 0, z: 0 } });
+    second.mesh.visible = false;
+    const cells = () => world.bodies.reduce((n, b) => n + b.softBody.hash.cellsVisited, 0);
+    const rebirthSteps = Math.ceil((rebirth.delay + rebirth.duration) * 60) + 60;
+    let maxCells = 0;
+    let lookupCells = null;
+    for (let i = 0; i < rebirthSteps; i++) {
+        const regrowing = world.rebirth && world.rebirth.phase === 'expand';
+        const c0 = cells();
+        world.update(regrowing ? pinchNear(second.center, i % 24 < 12) : {}, null, 1 / 60);
+        maxCells = Math.max(maxCells, cells() - c0);
+        clock.now += 1000 / 60;
+
+        if (regrowing && lookupCells === null) {
+            // Grab lookup on the freshly reborn body (still ~scale 0.01), 3 units from its center
+            const sb = second.softBody;
+            sb.mesh.updateMatrixWorld();
+            sb.matInv.copy(sb.mesh.matrixWorld).invert(); // As SoftBody.update does before its lookups
+            const c1 = sb.hash.cellsVisited;
+            const hit = sb._findClosestVertex(second.mesh.position.clone().setY(second.mesh.position.y + 3), 7.5);
+            lookupCells = hit.index >= 0 ? sb.hash.cellsVisited - c1 : -1;
+        }
+    }
+    const reborn = !world.rebirth && second.mesh.visible && Math.abs(second.mesh.scale.x - 1) < 1e-3;
+    const nan = measure(world.softBody).hasNaN || measure(second.softBody).hasNaN;
+    // Every query clipped to a body's own bounds: a few dozen queries over a box of (2r / cellSize)^3 cells
+    const cellBudget = 64 * Math.ceil(2 * CFG.radius / (CFG.hashCellSize || 2.0) + 1) ** 3;
+    checks.push({ name: 'two-body rebirth completes', ok: reborn && !nan, value: { reborn, hasNaN: nan } });
+    checks.push({ name: 'grab lookup on a reborn body stays bounded', ok: lookupCells !== null && lookupCells >= 0 && lookupCells <= cellBudget, value: `${lookupCells} cells` });
+    checks.push({ name: 'two-body rebirth steps stay bounded', ok: maxCells <= cellBudget, value: `${maxCells} cells max / step` });
+
+    const restSteps = 900;
+    const grabSteps = 200;
+    const held = maxGap(
+        runHeadless({ steps: grabSteps, handScript: pinchDrag }).positions,
+        runHeadless({ steps: grabSteps }).positions
+    );
+    checks.push({ name: 'pinch grab deforms the sphere', ok: held > restTolerance, value: held });
+
+    const released = runHeadless({ steps: restSteps, handScript: (i) => (i < grabSteps ? pinchDrag(i) : null) });
+    const gap = maxGap(released.positions, runHeadless({ steps: restSteps }).positions);
+    checks.push({ name: 'rest after pinch release', ok: gap <= restTolerance, value: gap });
+
+    for (const c of checks) console.log(`${c.ok ? '✅' : '❌'} ${c.name}`, c.value ?? '');
+    return { ok: checks.every(c => c.ok), checks };
+}
+
+// A hand 3 units above `center` (fingers spread, index in front), pinching or open
+function pinchNear(center, pinch) {
+    const lm3D = [];
+    for (let i = 0; i < 21; i++) lm3D.push(new THREE.Vector3(center.x + (i % 5 - 2) * 0.8, center.y + 3 + (i % 3) * 0.5, center.z + 1));
+    const pos = lm3D[8].clone();
+    return { 0: { pos, rawPos: pos.clone(), pinch, fistFactor: 0, lm: [], lm3D } };
+}
+
+// Pinch the right side of the sphere and pull it outwards
+function pinchDrag(i) {
+    return { 0: { pos: { x: CFG.radius * 0.75 + Math.min(i, 100) * 0.03, y: 0, z: 0 }, pinch: true } };
+}
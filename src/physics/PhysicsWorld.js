@@ -1,34 +1,848 @@
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
-import { STATE, BLACK_HOLE, CFG } from '../config.js';
+import { STATE, BLACK_HOLE, CFG, MATERIALS, SINGULARITIES, SURFACE } from '../config.js';
 import { SoftBody } from './SoftBody.js';
+import { SoftBodyProxy } from './SoftBodyProxy.js';
 import { Singularity } from './Singularity.js';
 import { AccretionDisk } from '../visuals/AccretionDisk.js';
+import { AccretionDiskGPU } from '../visuals/AccretionDiskGPU.js';
 import { Jets } from '../visuals/Jets.js';
+import { JetsGPU } from '../visuals/JetsGPU.js';
 import { EventHorizon } from '../visuals/EventHorizon.js';
+import { SoulSurface } from '../visuals/SoulSurface.js';
+
+// Preset fields copied into CFG when a material becomes the global one
+const MATERIAL_KEYS = ['spring', 'damping', 'plasticity', 'yieldDist', 'volume', 'ruptureThreshold', 'tearStrain', 'gripStrength'];
+
+// Rebirth re-expansion curves (BLACK_HOLE.rebirth.style)
+const easeOutCubic = (k) => 1 - Math.pow(1 - k, 3);
+const easeOutBack = (k) => 1 + 2.70158 * Math.pow(k - 1, 3) + 1.70158 * Math.pow(k - 1, 2);
 
 export class PhysicsWorld {
-    constructor(scene, sphere, neuralNet) {
+    /**
+     * @param {Object} [options] - Injection points for headless runs (see physics/Headless.js)
+     * @param {Object} [options.state] - State object (defaults to global STATE)
+     * @param {Function} [options.clock] - Returns time in ms (defaults to Date.now)
+     * @param {Function} [options.rng] - Returns 0..1 (defaults to Math.random)
+     * @param {boolean} [options.headless] - Skip black hole visuals (no DOM/WebGL needed)
+     * @param {boolean} [options.worker] - Run SoftBody integration in a Web Worker
+     */
+    constructor(scene, sphere, neuralNet, options = {}) {
         this.scene = scene;
         this.sphere = sphere;
         this.neuralNet = neuralNet;
-        this.softBody = new SoftBody(sphere);
-        this.singularity = new Singularity();
+        this.state = options.state || STATE;
+        this.clock = options.clock || (() => Date.now());
+        this.rng = options.rng || Math.random;
+        this.headless = !!options.headless;
+
+        const injected = { state: this.state, clock: options.clock, rng: options.rng };
+        this.injected = injected;
+        this.useWorker = options.worker && !this.headless && typeof Worker !== 'undefined';
+
+        // Soft bodies: bodies[0] is the primary "soul" (drives stress, neurons, black hole)
+        this.bodies = [];
+        this._vSep = new THREE.Vector3();
+        this._vRel = new THREE.Vector3();
+        this.handOwner = new Map(); // pinching handId -> body it grabbed
+        this.heldCubes = new Map(); // pinching handId -> AR cube it holds
+        this.handMotion = new Map(); // handId -> { pos, vel, t } for throws
+        this.palmPrev = new Map();   // handId -> palm quaternion at the last step (wrist twist)
+        this.contacts = {};          // handId -> fingertips / palm touching any body (SoftBody.contacts, HUD markers)
+        this._qTwist = new THREE.Quaternion();
+        this._qStep = new THREE.Quaternion();
+        this._cradling = new Map();  // body -> twist deltas of the palms holding it this step
+        this.activeBody = null;     // last body a hand interacted with (voice/gesture target)
+        this.addBody(sphere);
+        this.softBody = this.bodies[0].softBody;
 
-        // Visuals
+        // Black holes: singularities[0] is the main one (STATE.blackHolePos, HUD tunnel)
+        this.singularities = [];
+        this.binary = null;         // { holes: [a, b], vel: [va, vb], time } while a merger runs
+        this.qualityTier = 0;
+        this._vAcc = new THREE.Vector3();
+        for (const params of (SINGULARITIES.length ? SINGULARITIES : [{}])) this.addSingularity(params);
+        this.singularity = this.singularities[0];
+
+        this.arObjects = [];
+        this.onRupture = null; // (worldPos, body, pressure) => void — sparks / audio in main.js
+        this.onTear = null;    // (worldPos, body, fragmentCount) => void
+        this.onMerge = null;   // (worldPos, remnant, mass) => void — flash / ringdown in main.js
+        this.onEvaporate = null; // (worldPos, hole, particles) => void — Hawking emission
+        this.onRebirth = null; // (worldPos, style) => void — white-hole burst
+        this.rebirth = null;   // { phase: 'collapse' | 'expand', time, hole, origin, bodies } while it runs
+    }
+
+    /**
+     * Add a black hole. All enabled holes pull at once; their suction adds up.
+     * @param {Object} [params] - See SINGULARITIES in config.js
+     * @param {number[]} [params.ndc] - [x, y] screen anchor
+     * @param {number[]} [params.pos] - [x, y, z] world position
+     * @param {boolean} [params.active] - false keeps the hole dormant
+     * (any other key, e.g. mass / spin / horizonRadius, overrides BLACK_HOLE for this hole)
+     */
+    addSingularity(params = {}) {
+        const { ndc, pos, active, ...overrides } = params;
+        const hole = new Singularity({ ...this.injected, ndc, pos, active, params: overrides });
+        if (!this.headless) this._createHoleVisuals(hole);
+        this.singularities.push(hole);
+        return hole;
+    }
+
+    removeSingularity(hole) {
+        const i = this.singularities.indexOf(hole);
+        if (i <= 0) return false; // The main hole stays
+        this.singularities.splice(i, 1);
+        if (hole.disk) hole.disk.dispose();
+        if (hole.jets) hole.jets.dispose();
+        if (hole.eventHorizon) hole.eventHorizon.dispose();
+        return true;
+    }
+
+    // Disk, jets and horizon glow per hole (sized to its horizon in _updateHoleVisuals)
+    _createHoleVisuals(hole) {
         if (BLACK_HOLE.accretion && BLACK_HOLE.accretion.enabled) {
-            this.disk = new AccretionDisk(scene, BLACK_HOLE.accretion);
-            // Ensure hidden initially
-            if (this.disk && this.disk.points) this.disk.points.visible = false;
+            const Disk = BLACK_HOLE.accretion.gpu ? AccretionDiskGPU : AccretionDisk;
+            hole.disk = new Disk(this.scene, BLACK_HOLE.accretion);
+            hole.disk.points.visible = false;
         }
         if (BLACK_HOLE.jets && BLACK_HOLE.jets.enabled) {
-            this.jets = new Jets(scene, BLACK_HOLE.jets);
-            if (this.jets && this.jets.points) this.jets.points.visible = false;
+            const JetsClass = BLACK_HOLE.jets.gpu ? JetsGPU : Jets;
+            hole.jets = new JetsClass(this.scene, BLACK_HOLE.jets);
+            hole.jets.points.visible = false;
         }
+        hole.eventHorizon = new EventHorizon(this.scene, BLACK_HOLE);
+        if (hole.disk) hole.disk.setQuality(this.qualityTier);
+        if (hole.jets) hole.jets.setQuality(this.qualityTier);
+    }
 
-        // Event Horizon Glow (New visual effect)
-        this.eventHorizon = new EventHorizon(scene, BLACK_HOLE);
+    _updateHoleVisuals(hole, dt, t, pull) {
+        const on = hole.enabled;
+        // Grown / evaporating / remnant holes resize their visuals with the horizon
+        let scale = hole.params.horizonRadius / BLACK_HOLE.horizonRadius;
+        if (this.rebirth && this.rebirth.phase === 'collapse' && this.rebirth.hole === hole) {
+            scale *= Math.max(0.05, 1 - this.rebirth.time / Math.max(0.01, BLACK_HOLE.rebirth.delay));
+        }
+        if (hole.disk) hole.disk.setScale(scale);
+        if (hole.jets) hole.jets.setScale(scale);
+        if (hole.eventHorizon) hole.eventHorizon.setScale(scale);
+        if (hole.disk) {
+            if (on) {
+                hole.disk.setCenter(hole.pos);
+                hole.disk.update(dt, t, pull);
+            }
+            hole.disk.points.visible = on;
+        }
+        if (hole.jets) {
+            if (on) {
+                hole.jets.setCenter(hole.pos);
+                hole.jets.update(dt, t, pull, this.state.stressEMA);
+            }
+            hole.jets.points.visible = on;
+        }
+        // EventHorizon handles its own visibility based on pull
+        if (hole.eventHorizon) {
+            hole.eventHorizon.setCenter(hole.pos);
+            hole.eventHorizon.update(dt, t, on ? pull : 0);
+        }
+    }
 
-        this.arObjects = [];
+    // Every enabled hole pulls the mesh; the nearest goes last so its tidal stretch sets the scale
+    _pullBody(mesh, dt) {
+        const holes = this.singularities.filter(s => s.enabled);
+        holes.sort((a, b) => b.pos.distanceToSquared(mesh.position) - a.pos.distanceToSquared(mesh.position));
+        for (const hole of holes) hole.applyPull(mesh, dt);
+    }
+
+    /**
+     * Fist placement (BLACK_HOLE.spawn === 'fist'): the hole sits at the fist while it is held.
+     * A dormant hole jumps to the hand, an active one is dragged along.
+     */
+    holdSingularity(pos, hole = this.singularity) {
+        if (this.binary) return; // Orbiting holes belong to the merger
+        hole.hold(pos, !hole.enabled && !hole.held);
+    }
+
+    /**
+     * Binary merger: holes at both fists orbit each other (mutual Singularity.accelAt),
+     * lose energy to drag, spiral in and merge into one heavier remnant.
+     */
+    startBinary(posA, posB) {
+        if (this.binary) return false;
+        const a = this.singularity;
+        a.release();
+        a.ndc = null;
+        a.pos.copy(posA);
+        a.vel.set(0, 0, 0);
+        const b = this.addSingularity({ pos: posB.toArray() });
+
+        // Kick onto a circular orbit around the center of mass
+        const mA = a.params.mass, mB = b.params.mass, M = mA + mB;
+        const sep = Math.max(1, a.pos.distanceTo(b.pos));
+        const aRel = Math.min(M / (sep * sep), a.params.maxAccel * 2) * BLACK_HOLE.binary.gravity;
+        const vRel = Math.sqrt(aRel * sep);
+        const tHat = this._vAcc.subVectors(b.pos, a.pos).normalize();
+        tHat.set(-tHat.y, tHat.x, 0);
+        this.binary = {
+            holes: [a, b],
+            vel: [tHat.clone().multiplyScalar(-vRel * mB / M), tHat.clone().multiplyScalar(vRel * mA / M)],
+            time: 0
+        };
+        return true;
+    }
+
+    _updateBinary(dt) {
+        const cfg = BLACK_HOLE.binary;
+        const { holes: [a, b], vel } = this.binary;
+        this.binary.time += dt;
+
+        // Each hole is pulled (and swirled) by the other
+        a.accelAt(b.pos, this._vAcc, cfg.gravity);
+        vel[1].addScaledVector(this._vAcc, dt);
+        b.accelAt(a.pos, this._vAcc, cfg.gravity);
+        vel[0].addScaledVector(this._vAcc, dt);
+
+        // Drag turns the orbit into an inspiral
+        vel[0].multiplyScalar(Math.max(0, 1 - a.params.drag * cfg.inspiral * dt));
+        vel[1].multiplyScalar(Math.max(0, 1 - b.params.drag * cfg.inspiral * dt));
+        a.pos.addScaledVector(vel[0], dt);
+        b.pos.addScaledVector(vel[1], dt);
+
+        const mergeAt = (a.params.horizonRadius + b.params.horizonRadius) * cfg.mergeRadius;
+        if (a.pos.distanceTo(b.pos) < mergeAt || this.binary.time > cfg.maxTime) this._mergeBinary();
+    }
+
+    _mergeBinary() {
+        const { holes: [a, b], vel } = this.binary;
+        const mA = a.params.mass, mB = b.params.mass, M = mA + mB;
+
+        // Remnant at the center of mass; the horizon grows with the mass
+        a.pos.multiplyScalar(mA / M).addScaledVector(b.pos, mB / M);
+        a.vel.copy(vel[0]).multiplyScalar(mA / M).addScaledVector(vel[1], mB / M);
+        const mass = M * (1 - BLACK_HOLE.binary.radiated);
+        a.setMass(mass);
+        a.swallowed.vertices += b.swallowed.vertices;
+        a.swallowed.neurons += b.swallowed.neurons;
+        a.starved = 0;
+
+        this.binary = null;
+        this.removeSingularity(b);
+        if (a.eventHorizon) a.eventHorizon.flash();
+        if (this.onMerge) this.onMerge(a.pos.clone(), a, mass);
+    }
+
+    /**
+     * Mass budget: swallowed matter (SoftBody.absorb per vertex, neuron absorbed; each counted
+     * once at its deepest absorption) feeds the nearest enabled hole. A hole that goes hungry
+     * for growth.starveTime evaporates, faster the lighter it gets (Hawking rate ~ 1/M^2).
+     */
+    _updateHoleMass(dt) {
+        const cfg = BLACK_HOLE.growth;
+        if (!cfg || !cfg.enabled) return;
+
+        for (const body of this.bodies) {
+            const absorb = body.softBody.absorb;
+            if (!body.swallowed) body.swallowed = new Float32Array(absorb.length);
+            let gained = 0;
+            for (let i = 0; i < absorb.length; i++) {
+                if (absorb[i] <= body.swallowed[i]) continue;
+                gained += absorb[i] - body.swallowed[i];
+                body.swallowed[i] = absorb[i];
+            }
+            if (gained > 0) this._feedHole(body.center, gained, 0);
+        }
+        if (this.neuralNet) {
+            let gained = 0;
+            for (const n of this.neuralNet.neurons) {
+                const ud = n.userData;
+                if (!(ud.absorbed > (ud.swallowed || 0))) continue;
+                gained += ud.absorbed - (ud.swallowed || 0);
+                ud.swallowed = ud.absorbed;
+            }
+            if (gained > 0) this._feedHole(this.bodies[0].center, 0, gained);
+        }
+
+        // Dormant holes neither eat nor evaporate
+        for (const hole of this.singularities) {
+            if (!hole.enabled) continue;
+            hole.starved += dt;
+            if (hole.starved < cfg.starveTime) continue;
+
+            const mass = hole.params.mass;
+            const floor = hole.baseMass * cfg.minMass;
+            if (mass <= floor) continue;
+            const ratio = hole.baseMass / mass;
+            const lost = Math.min(mass - floor, cfg.evaporation * ratio * ratio * dt);
+            hole.setMass(mass - lost);
+
+            hole.evaporated += lost;
+            const particles = Math.floor(hole.evaporated / cfg.emitEvery);
+            if (particles > 0) {
+                hole.evaporated -= particles * cfg.emitEvery;
+                if (this.onEvaporate) this.onEvaporate(hole.pos.clone(), hole, particles);
+            }
+        }
+    }
+
+    _feedHole(point, vertices, neurons) {
+        let hole = null;
+        let best = Infinity;
+        for (const s of this.singularities) {
+            if (!s.enabled) continue;
+            const d = s.pos.distanceToSquared(point);
+            if (d < best) {
+                best = d;
+                hole = s;
+            }
+        }
+        if (!hole) return;
+
+        const cfg = BLACK_HOLE.growth;
+        hole.setMass(hole.params.mass + vertices * cfg.vertexMass + neurons * cfg.neuronMass);
+        hole.swallowed.vertices += vertices;
+        hole.swallowed.neurons += neurons;
+        hole.starved = 0;
+    }
+
+    /**
+     * Rebirth (BLACK_HOLE.rebirth): a swallowed body (hidden by Singularity.applyPull) is not gone
+     * for good. The hole that ate it collapses for `delay` seconds, bursts as a white hole
+     * (neurons fly back out of it) and every swallowed body re-expands from its center.
+     */
+    _updateRebirth(dt) {
+        const cfg = BLACK_HOLE.rebirth;
+        if (!this.rebirth) {
+            if (!cfg || !cfg.enabled || this.binary) return;
+            const eaten = this.bodies.filter(b => !b.mesh.visible);
+            if (!eaten.length) return;
+
+            let hole = this.singularity;
+            let best = Infinity;
+            for (const s of this.singularities) {
+                const d = s.pos.distanceToSquared(eaten[0].mesh.position);
+                if (s.enabled && d < best) {
+                    best = d;
+                    hole = s;
+                }
+            }
+            this.rebirth = { phase: 'collapse', time: 0, hole, origin: hole.pos.clone(), bodies: eaten };
+            return;
+        }
+
+        const r = this.rebirth;
+        r.time += dt;
+        if (r.phase === 'collapse') {
+            r.origin.copy(r.hole.pos);
+            if (r.time >= cfg.delay) this._whiteHoleBurst();
+            return;
+        }
+
+        const k = Math.min(1, r.time / Math.max(0.01, cfg.duration));
+        const grow = Math.max(0.01, cfg.style === 'bloom' ? easeOutCubic(k) : easeOutBack(k));
+        for (const body of r.bodies) {
+            const home = body.mesh.userData.homeScale;
+            if (home) body.mesh.scale.copy(home).multiplyScalar(grow);
+            else body.mesh.scale.setScalar(grow);
+        }
+        if (k >= 1) this.rebirth = null;
+    }
+
+    _whiteHoleBurst() {
+        const r = this.rebirth;
+        const cfg = BLACK_HOLE.rebirth;
+
+        // The hole gives everything back: out of SINGULARITY, mass back to its config
+        this.state.mode = 'NORMAL';
+        this.state.blackHolePull = 0;
+        r.hole.restoreParams();
+        if (r.hole.eventHorizon) r.hole.eventHorizon.flash();
+
+        for (const body of r.bodies) {
+            const m = body.mesh;
+            body.velocity.set(0, 0, 0);
+            body.swallowed = null;
+            if (body.softBody.reset) body.softBody.reset();
+            r.hole.reset(m);
+            if (m.userData.home) m.position.copy(m.userData.home);
+            m.scale.setScalar(0.01);
+            m.updateMatrixWorld(true);
+            if (body.primary && this.neuralNet && this.neuralNet.emergeFrom) {
+                this.neuralNet.emergeFrom(r.origin, cfg.duration * 0.6, cfg.neuronStagger);
+                this.neuralNet.neurons.forEach(n => { n.userData.swallowed = 0; });
+            }
+        }
+
+        r.phase = 'expand';
+        r.time = 0;
+        if (this.onRebirth) this.onRebirth(r.origin.clone(), cfg.style);
+    }
+
+    releaseSingularity(hole = this.singularity) {
+        hole.release();
+    }
+
+    setQuality(tier) {
+        this.qualityTier = tier;
+        for (const hole of this.singularities) {
+            if (hole.disk) hole.disk.setQuality(tier);
+            if (hole.jets) hole.jets.setQuality(tier);
+        }
+    }
+
+    /**
+     * Add an interactive soft body to the scene.
+     * @param {THREE.Mesh} mesh - Non-indexed geometry with a color attribute
+     * @param {Object} [params]
+     * @param {number} [params.radius] - Rest radius (defaults to CFG.radius)
+     * @param {number} [params.spring] - Stiffness (defaults to live CFG.spring)
+     * @param {number} [params.mass] - Weight in body-body collisions (defaults to radius^3)
+     * @param {string} [params.material] - Own MATERIALS preset (otherwise follows CFG.material)
+     */
+    addBody(mesh, params = {}) {
+        const primary = this.bodies.length === 0;
+        const radius = params.radius || CFG.radius;
+        const material = MATERIALS[params.material] ? params.material : null;
+        let body = null;
+        const opts = {
+            ...this.injected,
+            radius,
+            spring: params.spring,
+            trackStress: primary,
+            material: material ? MATERIALS[material] : null,
+            onRupture: (local, pressure) => this._onRupture(body, local, pressure),
+            onTear: (local, fragments) => this._onTear(body, local, fragments)
+        };
+        const softBody = this.useWorker ? new SoftBodyProxy(mesh, opts) : new SoftBody(mesh, opts);
+
+        if (!mesh.parent) this.scene.add(mesh);
+        mesh.userData.home = mesh.position.clone();
+        mesh.userData.homeScale = mesh.scale.clone();
+
+        body = {
+            mesh,
+            softBody,
+            radius,
+            mass: params.mass || radius * radius * radius,
+            material,
+            velocity: new THREE.Vector3(),
+            primary,
+            center: new THREE.Vector3(),
+            worldRadius: radius,
+            hands: {},
+            cradled: 0,             // Open palms holding the body this step
+            surface: null           // SoulSurface (shaded render mode), none when headless
+        };
+        this.bodies.push(body);
+        if (!this.activeBody) this.activeBody = body;
+        if (!this.headless) {
+            body.surface = new SoulSurface(mesh);
+            mesh.userData.surface = body.surface;
+        }
+        this._applyVisual(mesh, MATERIALS[material || CFG.material]);
+        if (body.surface) body.surface.setMode(SURFACE.mode);
+        return body;
+    }
+
+    _onRupture(body, local, pressure) {
+        if (!body || !this.onRupture) return;
+        body.mesh.updateMatrixWorld();
+        this.onRupture(local.clone().applyMatrix4(body.mesh.matrixWorld), body, pressure);
+    }
+
+    _onTear(body, local, fragments) {
+        if (!body || !this.onTear) return;
+        body.mesh.updateMatrixWorld();
+        this.onTear(local.clone().applyMatrix4(body.mesh.matrixWorld), body, fragments);
+    }
+
+    /**
+     * Switch to a MATERIALS preset.
+     * Without `body` the preset is written into CFG (Tuner sliders keep tweaking it) and
+     * used by every body without its own material; with `body` only that body changes.
+     */
+    setMaterial(name, body = null) {
+        const preset = MATERIALS[name];
+        if (!preset) return false;
+
+        if (body) {
+            body.material = name;
+            body.softBody.material = preset;
+            this._applyVisual(body.mesh, preset);
+        } else {
+            CFG.material = name;
+            for (const k of MATERIAL_KEYS) CFG[k] = preset[k];
+            for (const b of this.bodies) {
+                if (!b.material) this._applyVisual(b.mesh, preset);
+            }
+        }
+        console.log(`🧪 Material: ${preset.label}`);
+        return true;
+    }
+
+    _applyVisual(mesh, preset) {
+        const surface = mesh.userData.surface;
+        const m = surface ? surface.basic : mesh.material; // Shaded mode reads color / opacity from it
+        if (!m || !preset || !preset.visual) return;
+        const v = preset.visual;
+        m.color.set(v.color);
+        if (mesh.userData.tint) m.color.multiply(mesh.userData.tint); // Soul color survives preset switches
+        m.opacity = v.opacity;
+        mesh.material.opacity = v.opacity;
+        if (m.wireframe !== v.wireframe) {
+            m.wireframe = v.wireframe;
+            m.needsUpdate = true;
+        }
+        mesh.userData.baseOpacity = v.opacity;
+    }
+
+    removeBody(body) {
+        const idx = this.bodies.indexOf(body);
+        if (idx <= 0) return false; // Primary body stays
+
+        this.bodies.splice(idx, 1);
+        if (body.softBody.dispose) body.softBody.dispose();
+        if (body.surface) body.surface.dispose();
+        if (body.mesh.parent) body.mesh.parent.remove(body.mesh);
+        for (const [handId, owner] of this.handOwner) {
+            if (owner === body) this.handOwner.delete(handId);
+        }
+        if (this.activeBody === body) this.activeBody = this.bodies[0];
+        return true;
+    }
+
+    // World-space bounding sphere of each body (CoM + average radius from last step)
+    _measureBodies() {
+        for (const b of this.bodies) {
+            const m = b.mesh;
+            m.updateMatrixWorld();
+            b.center.copy(b.softBody.centerOfMass).applyMatrix4(m.matrixWorld);
+            b.worldRadius = (m.userData.currentRadius || b.radius) * (m.scale.x || 1);
+        }
+    }
+
+    // Open hands push every body; a pinching hand belongs to the nearest body until released.
+    // Only a body within grab reach (SoftBody's touch radius, worldRadius * 2.5) can own it:
+    // a pinch far off-screen must not block another body's grab or cradle.
+    _routeHands(hands) {
+        for (const b of this.bodies) b.hands = {};
+        if (!hands) return;
+
+        for (const k in hands) {
+            const h = hands[k];
+            if (!h || !h.pos) continue;
+
+            if (!h.pinch) {
+                this.handOwner.delete(k);
+                this._releaseCube(k);
+                for (const b of this.bodies) b.hands[k] = h;
+                continue;
+            }
+
+            if (this.heldCubes.has(k)) continue;
+
+            let owner = this.handOwner.get(k);
+            if (!owner || this.bodies.indexOf(owner) < 0) {
+                owner = null;
+                let best = Infinity;
+                for (const b of this.bodies) {
+                    const dist = h.pos.distanceTo(b.center);
+                    if (dist > b.worldRadius * 2.5) continue;
+                    const surfaceDist = dist - b.worldRadius;
+                    if (surfaceDist < best) {
+                        best = surfaceDist;
+                        owner = b;
+                    }
+                }
+
+                // A cube within reach wins over a farther body surface
+                const cube = this._nearestCube(h.pos, CFG.cubeGrabRange ?? 4);
+                if (cube && h.pos.distanceTo(cube.position) < best) {
+                    cube.userData.grabbed = true;
+                    cube.userData.holder = k;
+                    cube.userData.free = false;
+                    this.heldCubes.set(k, cube);
+                    continue;
+                }
+                if (!owner) continue;
+                this.handOwner.set(k, owner);
+            }
+            owner.hands[k] = h;
+            this.activeBody = owner;
+        }
+
+        for (const k of this.handOwner.keys()) {
+            if (!hands[k]) this.handOwner.delete(k);
+        }
+        for (const k of this.heldCubes.keys()) {
+            if (!hands[k]) this._releaseCube(k);
+        }
+    }
+
+    /**
+     * Open palms facing a body (normal towards its center, within CFG.cradleRange of the
+     * surface) cradle it: it stops drifting, and twisting the wrists turns it
+     * (palm rotation since the last step, shared between the holding hands).
+     */
+    _cradleBodies(hands, dt) {
+        const range = CFG.cradleRange ?? 4;
+        const facing = CFG.cradleFacing ?? 0.5;
+        const gain = CFG.twistGain ?? 1;
+        this._cradling.clear();
+        for (const b of this.bodies) b.cradled = 0;
+
+        if (hands) {
+            for (const k in hands) {
+                const h = hands[k];
+                if (!h || !h.palm || h.pinch || h.fistFactor > 0.5) continue;
+                const prev = this.palmPrev.get(k);
+                const twist = prev ? this._qTwist.copy(prev).invert().premultiply(h.palm.quaternion).clone() : null;
+
+                for (const b of this.bodies) {
+                    const toCenter = this._vRel.subVectors(b.center, h.palm.pos);
+                    const dist = toCenter.length();
+                    if (dist - b.worldRadius > range || dist < 1e-6) continue;
+                    if (h.palm.normal.dot(toCenter) / dist < facing) continue;
+
+                    b.cradled++;
+                    if (!this._cradling.has(b)) this._cradling.set(b, []);
+                    // Tracking flips (handedness swap) show up as huge jumps: ignore them
+                    if (twist && 2 * Math.acos(Math.min(1, Math.abs(twist.w))) < 0.5) this._cradling.get(b).push(twist);
+                }
+            }
+        }
+
+        for (const [b, twists] of this._cradling) {
+            b.velocity.multiplyScalar(Math.max(0, 1 - (CFG.cradleHold ?? 4) * dt));
+            for (const q of twists) {
+                this._qStep.identity().slerp(q, gain / b.cradled);
+                b.mesh.quaternion.premultiply(this._qStep);
+            }
+        }
+
+        for (const k of this.palmPrev.keys()) {
+            if (!hands || !hands[k] || !hands[k].palm) this.palmPrev.delete(k);
+        }
+        if (hands) {
+            for (const k in hands) {
+                const h = hands[k];
+                if (!h || !h.palm) continue;
+                if (!this.palmPrev.has(k)) this.palmPrev.set(k, new THREE.Quaternion());
+                this.palmPrev.get(k).copy(h.palm.quaternion);
+            }
+        }
+    }
+
+    // Union of every body's contact masks (same object each step: HUD keeps a reference)
+    _gatherContacts() {
+        const out = this.contacts;
+        for (const k in out) delete out[k];
+        for (const b of this.bodies) {
+            const c = b.softBody.contacts;
+            if (!c) continue;
+            for (const k in c) out[k] = (out[k] || 0) | c[k];
+        }
+    }
+
+    // Hand velocity from camera-rate positions (physics ticks faster than tracking)
+    _trackHands(hands) {
+        const now = this.clock();
+        if (hands) {
+            for (const k in hands) {
+                const h = hands[k];
+                if (!h || !h.pos) continue;
+                let m = this.handMotion.get(k);
+                if (!m) {
+                    m = { pos: h.pos.clone(), vel: new THREE.Vector3(), t: now };
+                    this.handMotion.set(k, m);
+                    continue;
+                }
+                const elapsed = (now - m.t) * 0.001;
+                if (m.pos.distanceToSquared(h.pos) > 1e-8) {
+                    const inst = this._vRel.subVectors(h.pos, m.pos).divideScalar(Math.max(elapsed, 0.005));
+                    m.vel.lerp(inst, 0.5);
+                    m.pos.copy(h.pos);
+                    m.t = now;
+                } else if (elapsed > 0.15) {
+                    m.vel.multiplyScalar(0.5); // Hand stopped
+                }
+            }
+        }
+        for (const k of this.handMotion.keys()) {
+            if (!hands || !hands[k]) this.handMotion.delete(k);
+        }
+    }
+
+    _nearestCube(pos, range) {
+        let best = null;
+        let bestD = range;
+        for (const cube of this.arObjects) {
+            if (cube.userData.grabbed) continue;
+            const d = pos.distanceTo(cube.position);
+            if (d < bestD) {
+                bestD = d;
+                best = cube;
+            }
+        }
+        return best;
+    }
+
+    _releaseCube(handId) {
+        const cube = this.heldCubes.get(handId);
+        if (!cube) return;
+        this.heldCubes.delete(handId);
+
+        const ud = cube.userData;
+        ud.grabbed = false;
+        ud.holder = null;
+        ud.free = true;
+        ud.recall = 0;
+
+        // Throw with the hand's velocity
+        const m = this.handMotion.get(handId);
+        if (m) {
+            ud.vel.copy(m.vel).multiplyScalar(CFG.throwScale ?? 1.0);
+            const maxSpeed = CFG.throwMaxSpeed ?? 80;
+            if (ud.vel.length() > maxSpeed) ud.vel.setLength(maxSpeed);
+        }
+    }
+
+    // Cubes: held (follow hand), free flight after a throw/hit, or orbit (recalled smoothly)
+    _updateARObjects(hands, dt, t) {
+        const cubeR = CFG.cubeRadius ?? 1.1;
+        const drag = Math.exp(-(CFG.cubeDrag ?? 0.8) * dt);
+
+        for (const obj of this.arObjects) {
+            const ud = obj.userData;
+            const prev = this._vSep.copy(obj.position);
+
+            if (ud.grabbed) {
+                const h = hands && hands[ud.holder];
+                if (h && h.pos) obj.position.lerp(h.pos, 0.5);
+                ud.vel.subVectors(obj.position, prev).divideScalar(dt);
+            } else if (ud.free) {
+                obj.position.addScaledVector(ud.vel, dt);
+                ud.vel.multiplyScalar(drag);
+                ud.spin += ud.vel.length() * dt * 0.2;
+
+                // Keep thrown cubes on screen
+                if (obj.position.length() > 60) ud.vel.multiplyScalar(-0.5);
+
+                // Slow enough: head back to the orbit
+                if (ud.vel.lengthSq() < 0.25) {
+                    ud.free = false;
+                    ud.recall = 0;
+                    ud.angle = Math.atan2(obj.position.y, obj.position.x);
+                }
+            } else {
+                // Orbit
+                ud.angle += dt * 0.2;
+                const r = 18 + Math.sin(t + ud.angle) * 2;
+                const target = this._vRel.set(
+                    Math.cos(ud.angle) * r,
+                    Math.sin(ud.angle) * r,
+                    Math.sin(t * 0.5 + ud.angle) * 5
+                );
+                ud.recall = Math.min(1, ud.recall + dt * 0.8);
+                obj.position.lerp(target, ud.recall * ud.recall);
+                ud.vel.subVectors(obj.position, prev).divideScalar(dt);
+            }
+
+            // Knock against soft bodies: cube bounces, body gets a (mass-weighted) shove
+            for (const b of this.bodies) {
+                const n = this._vRel.subVectors(obj.position, b.center);
+                const d = n.length();
+                const minD = b.worldRadius + cubeR;
+                if (d >= minD || d < 1e-6) continue;
+                n.divideScalar(d);
+
+                obj.position.addScaledVector(n, minD - d);
+                if (ud.grabbed) continue;
+
+                const vn = ud.vel.dot(n) - b.velocity.dot(n);
+                if (vn < 0) {
+                    const e = 1 + (CFG.bodyRestitution ?? 0.4);
+                    ud.vel.addScaledVector(n, -vn * e);
+                    b.velocity.addScaledVector(n, vn * e * (CFG.cubeMass ?? 3) / b.mass);
+                    ud.spin += Math.abs(vn) * 0.05;
+                }
+                ud.free = true;
+            }
+
+            obj.rotation.x += dt * (1 + ud.spin);
+            obj.rotation.y += dt * (1 + ud.spin);
+            ud.spin *= drag;
+        }
+    }
+
+    // Other bodies + nearby AR cubes (as spheres) dent this body.
+    // Bodies in a running rebirth (swallowed, then re-expanding from scale 0.01) are left out
+    // both ways until they are back to full size.
+    _collidersFor(body) {
+        const out = [];
+        const reborn = this.rebirth ? this.rebirth.bodies : null;
+        if (reborn && reborn.includes(body)) return null;
+        for (const b of this.bodies) {
+            if (b === body) continue;
+            if (reborn && reborn.includes(b)) continue;
+            if (b.center.distanceTo(body.center) > body.worldRadius + b.worldRadius) continue;
+            out.push({ x: b.center.x, y: b.center.y, z: b.center.z, r: b.worldRadius });
+        }
+
+        const cubeR = CFG.cubeRadius ?? 1.1;
+        const reach = body.worldRadius * 1.5 + cubeR;
+        for (const cube of this.arObjects) {
+            const p = cube.position;
+            if (p.distanceTo(body.center) > reach) continue;
+            out.push({ x: p.x, y: p.y, z: p.z, r: cubeR });
+        }
+        return out.length ? out : null;
+    }
+
+    // Rigid response between bodies: mass-weighted separation + bounce, springs back home
+    _separateBodies(dt) {
+        const bodies = this.bodies;
+        const restitution = CFG.bodyRestitution ?? 0.4;
+
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                const a = bodies[i], b = bodies[j];
+                const n = this._vSep.subVectors(b.center, a.center);
+                let d = n.length();
+                const overlap = a.worldRadius + b.worldRadius - d;
+                if (overlap <= 0) continue;
+
+                if (d < 1e-6) {
+                    n.set(1, 0, 0);
+                    d = 1;
+                }
+                n.divideScalar(d);
+
+                const wa = b.mass / (a.mass + b.mass);
+                const wb = 1 - wa;
+                a.mesh.position.addScaledVector(n, -overlap * wa * 0.5);
+                b.mesh.position.addScaledVector(n, overlap * wb * 0.5);
+                a.center.addScaledVector(n, -overlap * wa * 0.5);
+                b.center.addScaledVector(n, overlap * wb * 0.5);
+
+                // Exchange momentum along the contact normal
+                const vn = this._vRel.subVectors(b.velocity, a.velocity).dot(n);
+                const push = overlap * restitution / Math.max(dt, 0.001) * 0.1;
+                const impulse = Math.max(0, -vn) + push;
+                a.velocity.addScaledVector(n, -impulse * wa);
+                b.velocity.addScaledVector(n, impulse * wb);
+            }
+        }
+
+        // Black hole owns body positions in SINGULARITY (Singularity.applyPull)
+        const tether = this.state.mode === 'SINGULARITY' ? 0 : (CFG.bodyTether ?? 1.5);
+        const damping = Math.exp(-3.0 * dt);
+        for (const b of bodies) {
+            const home = b.mesh.userData.home;
+            if (tether > 0 && home) {
+                b.velocity.addScaledVector(this._vSep.subVectors(home, b.mesh.position), tether * dt);
+            }
+            b.velocity.multiplyScalar(damping);
+            b.mesh.position.addScaledVector(b.velocity, dt);
+        }
     }
 
     initARObjects() {
@@ -52,7 +866,12 @@ export class PhysicsWorld {
                 initPos: cube.position.clone(),
                 angle: angle,
                 targetNeuronIdx: targetNeuronIdx,
-                grabbed: false
+                grabbed: false,
+                holder: null,    // handId holding the cube
+                free: false,     // flying after a throw or a hit
+                recall: 1,       // 0..1 blend back onto the orbit
+                vel: new THREE.Vector3(),
+                spin: 0
             };
             this.scene.add(cube);
             this.arObjects.push(cube);
@@ -62,81 +881,120 @@ export class PhysicsWorld {
     update(hands, camera, deltaTime) {
         // Safe deltaTime with bounds
         const dt = Math.min(0.05, Math.max(0.001, deltaTime || 0.016));
-        const t = Date.now() * 0.001;
-        this.singularity.update(camera);
+        const t = this.clock() * 0.001;
+        for (const hole of this.singularities) hole.update(camera, dt);
+        if (this.binary) this._updateBinary(dt);
+        this.state.blackHolePos.copy(this.singularity.pos);
 
         // Physics substeps for stability at high pull values
-        const pull = STATE.blackHolePull;
+        const pull = this.state.blackHolePull;
         const substeps = pull > 0.7 ? 2 : 1;
         const subDt = dt / substeps;
 
-        for (let s = 0; s < substeps; s++) {
-            // Update Sphere SoftBody with Neuron Repulsion
-            // Pass neuralNet.neurons so SoftBody can calculate internal pressure from neurons
-            this.softBody.update(hands, this.singularity, subDt, this.neuralNet.neurons);
+        this._measureBodies();
+        this._trackHands(hands);
+        this._routeHands(hands);
+        this._cradleBodies(hands, dt);
+        this._updateARObjects(hands, dt, t);
+        this._separateBodies(dt);
+
+        for (const body of this.bodies) {
+            const colliders = this._collidersFor(body);
+            // Neurons live inside the primary body only
+            const neurons = body.primary && this.neuralNet ? this.neuralNet.neurons : null;
+            for (let s = 0; s < substeps; s++) {
+                body.softBody.update(body.hands, this.singularities, subDt, neurons, colliders);
+            }
         }
+        this._gatherContacts();
+        this._updateHoleMass(dt);
+        this._updateRebirth(dt);
 
-        // Physics Loop specific to Singularity Mode
-        if (STATE.mode === 'SINGULARITY') {
-            // Update Black Hole Visuals
-            const bhPos = this.singularity.pos;
-            const pull = STATE.blackHolePull; // Eased value from main.js
+        // Black hole visuals (each hole hides itself while disabled)
+        for (const hole of this.singularities) this._updateHoleVisuals(hole, dt, t, this.state.blackHolePull);
 
-            if (this.disk) {
-                this.disk.setCenter(bhPos);
-                this.disk.update(dt, t, pull);
-                if (!this.disk.points.visible) this.disk.points.visible = true;
-            }
+        // Global pull towards the black holes
+        if (this.state.mode === 'SINGULARITY') {
+            for (const body of this.bodies) this._pullBody(body.mesh, dt);
+        }
+    }
 
-            if (this.jets) {
-                this.jets.setCenter(bhPos);
-                this.jets.update(dt, t, pull, STATE.stressEMA);
-                if (!this.jets.points.visible) this.jets.points.visible = true;
-            }
+    // Fixed-timestep hooks (see utils/FixedTimestep.js)
+    snapshot() {
+        for (const body of this.bodies) body.softBody.snapshot();
+    }
 
-            // Event Horizon Glow
-            if (this.eventHorizon) {
-                this.eventHorizon.setCenter(bhPos);
-                this.eventHorizon.update(dt, t, pull);
-            }
+    interpolate(alpha) {
+        for (const body of this.bodies) body.softBody.interpolate(alpha);
+    }
 
-            // Global pull towards black hole
-            this.singularity.applyPull(this.sphere, dt);
-        } else {
-            // Hide visuals when not active
-            if (this.disk && this.disk.points.visible) this.disk.points.visible = false;
-            if (this.jets && this.jets.points.visible) this.jets.points.visible = false;
-            // EventHorizon handles its own visibility based on pull
-            if (this.eventHorizon) this.eventHorizon.update(dt, t, 0);
+    /**
+     * Switch every soul between the wireframe and the lit surface (SoulSurface).
+     * @param {string} mode - 'wireframe' | 'shaded'
+     */
+    setRenderMode(mode) {
+        if (mode !== 'wireframe' && mode !== 'shaded') return false;
+        SURFACE.mode = mode;
+        for (const body of this.bodies) {
+            if (body.surface) body.surface.setMode(mode);
         }
+        console.log(`🎨 Render: ${mode}`);
+        return true;
+    }
 
-        // Update AR Objects
-        this.arObjects.forEach(obj => {
-            if (obj.userData.grabbed) {
-                // Logic for grabbed items is handled in main loop (mapping to hand)
-            } else {
-                // Orbit
-                obj.userData.angle += dt * 0.2;
-                const r = 18 + Math.sin(t + obj.userData.angle) * 2;
-                obj.position.x = Math.cos(obj.userData.angle) * r;
-                obj.position.y = Math.sin(obj.userData.angle) * r;
-                obj.position.z = Math.sin(t * 0.5 + obj.userData.angle) * 5;
-            }
-            obj.rotation.x += dt;
-            obj.rotation.y += dt;
-
-            // Connect line to neuron
-            // (Optional visual logic could go here)
-        });
+    // Once per rendered frame, after interpolate(): shaded normals follow the displayed positions
+    updateSurfaces(dt) {
+        for (const body of this.bodies) {
+            if (body.surface) body.surface.update(dt, body.primary ? this.state.stressEMA : 0);
+        }
     }
 
     reset() {
-        if (this.softBody && this.softBody.reset) this.softBody.reset();
-        if (this.singularity && this.singularity.reset) this.singularity.reset(this.sphere);
+        this.handOwner.clear();
+        this.palmPrev.clear();
+        for (const k in this.contacts) delete this.contacts[k];
+        this.rebirth = null;
+        for (const body of this.bodies) {
+            const m = body.mesh;
+            body.velocity.set(0, 0, 0);
+            if (body.softBody.reset) body.softBody.reset();
+            if (this.singularity && this.singularity.reset) this.singularity.reset(m);
 
-        // Reset Visuals
-        if (this.disk && this.disk.points) this.disk.points.visible = false;
-        if (this.jets && this.jets.points) this.jets.points.visible = false;
+            // Singularity.reset() centers the object; secondary souls go back to their spot
+            this._applyVisual(m, MATERIALS[body.material || CFG.material]);
+            if (m.userData.home) m.position.copy(m.userData.home);
+            if (m.userData.homeScale) m.scale.copy(m.userData.homeScale);
+            m.quaternion.identity(); // Undo wrist-twist / two-hand rotation
+            m.updateMatrixWorld(true);
+        }
+        this.activeBody = this.bodies[0];
+
+        // Cubes back on their orbit
+        this.heldCubes.clear();
+        for (const cube of this.arObjects) {
+            const ud = cube.userData;
+            ud.grabbed = false;
+            ud.holder = null;
+            ud.free = false;
+            ud.recall = 1;
+            ud.vel.set(0, 0, 0);
+            ud.spin = 0;
+        }
+
+        // Reset Visuals (fist-placed holes go back to their anchor, remnants to their config size)
+        if (this.binary) {
+            const companion = this.binary.holes[1];
+            this.binary = null;
+            this.removeSingularity(companion);
+        }
+        for (const body of this.bodies) body.swallowed = null;
+        if (this.neuralNet) this.neuralNet.neurons.forEach(n => { n.userData.swallowed = 0; });
+        for (const hole of this.singularities) {
+            hole.resetPlacement();
+            hole.restoreParams();
+            if (hole.disk) hole.disk.points.visible = false;
+            if (hole.jets) hole.jets.points.visible = false;
+        }
         console.log("🌌 Physics World Reset");
     }
 }
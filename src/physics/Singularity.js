@@ -1,10 +1,29 @@
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
 import { BLACK_HOLE, STATE } from '../config.js';
 
+/**
+ * Singularity - one black hole (PhysicsWorld keeps a list of them)
+ *
+ * @param {Object} [options]
+ * @param {number[]} [options.ndc] - [x, y] screen anchor, re-projected every update (follows resize)
+ * @param {number[]} [options.pos] - [x, y, z] fixed world position (used when there is no ndc)
+ * @param {Object} [options.params] - Per-hole overrides on top of BLACK_HOLE (mass, spin, horizonRadius ...)
+ */
 export class Singularity {
-    constructor() {
+    constructor(options = {}) {
+        this.state = options.state || STATE;
         this.enabled = false;
+        this.active = options.active ?? true; // Switched off holes never enable
         this.pos = new THREE.Vector3(15, 15, 0);
+        if (options.pos) this.pos.fromArray(options.pos);
+        this.ndc = options.ndc || null;
+
+        // Fist placement (PhysicsWorld.holdSingularity); home is restored on reset
+        this.homeNdc = this.ndc;
+        this.homePos = this.pos.clone();
+        this.held = false;
+        this.target = new THREE.Vector3();  // Followed point while held
+        this.vel = new THREE.Vector3();     // Follow speed, kept as drift after release
 
         // Cache vectors
         this.tmpV = new THREE.Vector3();
@@ -14,52 +33,118 @@ export class Singularity {
         this.tmpV5 = new THREE.Vector3();
         this.tmpAxis = new THREE.Vector3();
         this.tmpT = new THREE.Vector3();
-        this.params = BLACK_HOLE;
+        this.tmpNdc = new THREE.Vector3();
+        this.tmpPrev = new THREE.Vector3();
+
+        // Live BLACK_HOLE values (Tuner) with this hole's own overrides on top
+        this.overrides = { ...options.params };
+        this.baseOverrides = { ...this.overrides };
+        this.params = { ...BLACK_HOLE, ...this.overrides };
+
+        // Mass budget (PhysicsWorld._updateHoleMass); mass is a multiple of the configured one
+        this.massScale = 1;
+        this.swallowed = { vertices: 0, neurons: 0 };
+        this.starved = 0;    // Seconds since the last meal
+        this.evaporated = 0; // Mass not yet emitted as particles
     }
 
-    update(camera) {
-        this.enabled = STATE.mode === 'SINGULARITY';
-        if (camera) {
-            // Sync with top-LEFT corner (-0.78, 0.62)
-            const ndc = new THREE.Vector3(-0.78, 0.62, 0);
-            this.pos.copy(ndc.unproject(camera));
-            STATE.blackHolePos.copy(this.pos);
+    update(camera, dt = 0) {
+        this.enabled = this.active && this.state.mode === 'SINGULARITY';
+        this._refreshParams();
+
+        if (this.held) {
+            // Follow the fist; the follow speed becomes the drift after release
+            this.tmpPrev.copy(this.pos);
+            this.pos.lerp(this.target, 1 - Math.exp(-(this.params.followRate ?? 8) * dt));
+            if (dt > 0) this.vel.subVectors(this.pos, this.tmpPrev).divideScalar(dt);
+        } else if (camera && this.ndc) {
+            this.tmpNdc.set(this.ndc[0], this.ndc[1], 0);
+            this.pos.copy(this.tmpNdc.unproject(camera));
+        } else if (this.params.release === 'drift' && dt > 0) {
+            this.pos.addScaledVector(this.vel, dt);
+            this.vel.multiplyScalar(Math.max(0, 1 - (this.params.releaseDrag ?? 0.6) * dt));
         }
     }
 
-    applyPull(object, dt) {
-        if (!object || !this.enabled || STATE.blackHolePull < 0.01) return;
+    /**
+     * Put the hole at `pos` (world) and keep following it until release().
+     * Leaves the screen anchor for good (until resetPlacement).
+     * @param {boolean} [snap] - Jump there instead of gliding
+     */
+    hold(pos, snap = false) {
+        this.target.copy(pos);
+        this.ndc = null;
+        this.held = true;
+        if (snap) {
+            this.pos.copy(pos);
+            this.vel.set(0, 0, 0);
+        }
+    }
 
-        const cfg = this.params;
-        const bh = this.pos; // world position
-        const eps = cfg.eps || 1.0;
+    release() {
+        this.held = false;
+    }
 
-        // Init velocity once
-        if (!object.userData.vel) object.userData.vel = new THREE.Vector3();
-        if (object.userData.absorbed == null) object.userData.absorbed = 0;
+    // Change this hole's own values (e.g. a merger remnant's mass and horizon)
+    setParams(values) {
+        Object.assign(this.overrides, values);
+        this._refreshParams();
+    }
 
-        const vel = object.userData.vel;
+    restoreParams() {
+        this.overrides = { ...this.baseOverrides };
+        this.massScale = 1;
+        this._refreshParams();
+        this.swallowed.vertices = 0;
+        this.swallowed.neurons = 0;
+        this.starved = 0;
+        this.evaporated = 0;
+    }
 
-        // rVec = obj - bh
-        this.tmpV2.subVectors(object.position, bh);
-        const r2 = this.tmpV2.lengthSq() + eps * eps;
-        const r = Math.sqrt(r2);
+    // Configured mass of this hole (Tuner value or its SINGULARITIES override)
+    get baseMass() {
+        return this.overrides.mass ?? BLACK_HOLE.mass;
+    }
 
-        // Outside influence -> slight decay to stabilize
-        if (r > (cfg.influenceRadius || 100)) {
-            vel.multiplyScalar(0.98);
-            return;
+    // Scaling (not overriding) keeps the Tuner Mass slider live on a grown hole
+    setMass(mass) {
+        this.massScale = mass / this.baseMass;
+        this._refreshParams();
+    }
+
+    // The horizon grows linearly with the mass (Schwarzschild radius)
+    _refreshParams() {
+        Object.assign(this.params, BLACK_HOLE, this.overrides);
+        if (this.massScale !== 1) {
+            this.params.mass *= this.massScale;
+            this.params.horizonRadius *= this.massScale;
         }
+    }
+
+    resetPlacement() {
+        this.held = false;
+        this.ndc = this.homeNdc;
+        this.pos.copy(this.homePos);
+        this.vel.set(0, 0, 0);
+    }
+
+    /**
+     * Gravity + swirl this hole exerts on a world point (radial part scaled by `strength`).
+     * Writes the acceleration into `out`, returns the softened distance.
+     */
+    accelAt(point, out, strength = 1) {
+        const cfg = this.params;
+        const eps = cfg.eps || 1.0;
+
+        // rVec = point - bh
+        this.tmpV2.subVectors(point, this.pos);
+        const r2 = this.tmpV2.lengthSq() + eps * eps;
+        const r = Math.sqrt(r2);
 
         // rHat
         const invR = 1 / r;
         const rHat = this.tmpV.copy(this.tmpV2).multiplyScalar(invR);
 
-        // Base constant pull (lower base for cinematic feel)
-        const base = 0.08;
-        const pull = base + (1 - base) * STATE.blackHolePull;
-        const easedPull = pull * pull; // Quadratic easing for force
-
         // Sharp Two-Layer Gravity
         let aMag;
         // Outside influence? Almost zero pull.
@@ -74,8 +159,8 @@ export class Singularity {
         if (aMag > (cfg.maxAccel || 120)) aMag = (cfg.maxAccel || 120);
         if (!isFinite(aMag)) aMag = 0; // Safety check
 
-        // Scale force by global pull factor
-        aMag *= easedPull;
+        // Scale force by pull factor
+        aMag *= strength;
 
         // aRad = -rHat * aMag
         const aRad = this.tmpV3.copy(rHat).multiplyScalar(-aMag);
@@ -91,7 +176,40 @@ export class Singularity {
         const aTan = this.tmpV4.copy(this.tmpT).multiplyScalar(swirlMag);
 
         // Total accel = aRad + aTan
-        this.tmpV5.copy(aRad).add(aTan);
+        out.copy(aRad).add(aTan);
+        return r;
+    }
+
+    applyPull(object, dt) {
+        if (!object || !this.enabled || this.state.blackHolePull < 0.01) return;
+
+        const cfg = this.params;
+        const bh = this.pos; // world position
+        const eps = cfg.eps || 1.0;
+
+        // Init velocity once
+        if (!object.userData.vel) object.userData.vel = new THREE.Vector3();
+        if (object.userData.absorbed == null) object.userData.absorbed = 0;
+
+        const vel = object.userData.vel;
+
+        // rVec = obj - bh
+        this.tmpV2.subVectors(object.position, bh);
+        const r2 = this.tmpV2.lengthSq() + eps * eps;
+        const r = Math.sqrt(r2);
+
+        // Outside influence -> slight decay to stabilize
+        if (r > (cfg.influenceRadius || 100)) {
+            vel.multiplyScalar(0.98);
+            return;
+        }
+
+        // Base constant pull (lower base for cinematic feel)
+        const base = 0.08;
+        const pull = base + (1 - base) * this.state.blackHolePull;
+        const easedPull = pull * pull; // Quadratic easing for force
+
+        this.accelAt(object.position, this.tmpV5, easedPull);
 
         // Integrate velocity
         vel.addScaledVector(this.tmpV5, dt);
@@ -153,7 +271,7 @@ export class Singularity {
 
         // Restore material
         if (object.material) {
-            object.material.opacity = 0.85; // Default opacity from main.js
+            object.material.opacity = object.userData.baseOpacity ?? 0.85; // Material preset opacity
             object.material.transparent = true;
         }
 
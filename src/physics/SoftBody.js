@@ -1,5 +1,7 @@
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
 import { CFG, BLACK_HOLE, STATE } from '../config.js';
+import { SpatialHash } from './SpatialHash.js';
+import { FINGER_TIPS, CONTACT_PALM, weldVertices } from '../utils/MathUtils.js';
 
 /**
  * SoftBody (CPU deformation)
@@ -8,36 +10,93 @@ import { CFG, BLACK_HOLE, STATE } from '../config.js';
  * - Inverse-square gravity with softening
  * - Swirl (accretion spiral) + tidal squeeze
  * - Event horizon collapse + darkening
- * - Grab points: pinch attaches to nearest vertex and pulls it
+ * - Grab points: pinch attaches to nearest vertex and pulls it (other fingertips on the skin hold their own)
+ * - Per-finger collision: fingertips + palm center push as separate spheres (contacts per hand)
  * - Tunnel stretching: sphere deforms into funnel shape during black hole
  * - Pinch only works when touching the sphere
+ * - Spatial hash over current positions for grab lookup, push range and neuron pressure
  */
 export class SoftBody {
-    constructor(mesh) {
+    /**
+     * @param {THREE.Mesh} mesh - Sphere mesh (geometry needs a `color` attribute)
+     * @param {Object} [options] - Injection points for headless runs
+     * @param {Object} [options.state] - State object (defaults to global STATE)
+     * @param {Function} [options.clock] - Returns time in ms (defaults to performance.now)
+     * @param {Function} [options.rng] - Returns 0..1 (defaults to Math.random)
+     * @param {Function} [options.onRumble] - Absorption audio hook (defaults to window.audio.triggerRumble)
+     * @param {number} [options.radius] - Rest radius of this body (defaults to CFG.radius)
+     * @param {number} [options.spring] - Per-body stiffness (defaults to live CFG.spring)
+     * @param {boolean} [options.trackStress] - Feed state.stressEMA (false for secondary bodies)
+     * @param {Object} [options.material] - Own MATERIALS preset (defaults to the live CFG values)
+     * @param {Function} [options.onRupture] - (localPos: Vector3, pressure) when internal pressure bursts the skin
+     * @param {Function} [options.onTear] - (localPos: Vector3, fragmentCount) when a piece rips off
+     */
+    constructor(mesh, options = {}) {
         this.mesh = mesh;
+        this.state = options.state || STATE;
+        this.clock = options.clock || (() => performance.now());
+        this.rng = options.rng || Math.random;
+        this.onRumble = options.onRumble || null;
+        this.radius = options.radius || CFG.radius;
+        this.spring = options.spring ?? null;
+        this.trackStress = options.trackStress !== false;
+        this.material = options.material || null;
+        this.onRupture = options.onRupture || null;
+        this.onTear = options.onTear || null;
         this.geometry = mesh.geometry;
         this.posAttr = this.geometry.attributes.position;
         this.origPos = this.posAttr.array.slice();
+        // Rest shape springs pull towards; plastic materials move it (origPos stays pristine)
+        this.restPos = this.origPos.slice();
         this.colors = this.geometry.attributes.color.array;
         this.count = this.posAttr.count;
 
         // Physics buffers
         this.currentPos = this.posAttr.array.slice();
+        this.prevPos = this.posAttr.array.slice(); // Previous fixed step (render interpolation)
         this.velocity = new Float32Array(this.count * 3);
 
-        // Grab points: Map<handId, {vertexIndex, offset}>
+        // Grab points: Map<handId, {vertexIndex, initialHandPos, fingers: [{finger, vertexIndex}]}>
         this.grabPoints = new Map();
+        // handId -> fingers / palm touching the skin in the last step (bits: FINGER_TIPS index, CONTACT_PALM)
+        this.contacts = {};
+
+        // Spatial grid over currentPos (local space), refreshed incrementally each step
+        this.hash = new SpatialHash(this.count, CFG.hashCellSize || 2.0);
+        this.hash.update(this.currentPos);
+        // Per-step velocity impulses gathered through the hash (push + neuron pressure)
+        this.impulse = new Float32Array(this.count * 3);
+
+        // Internal pressure from the enclosed volume (welded so duplicated corners move together)
+        ({ weld: this.weld, groupCount: this.groupCount } = weldVertices(this.origPos));
+        this.weldNormal = new Float32Array(this.groupCount * 3);
+        this.restVolume = this._volume(this.restPos);
+        this.volume = this.restVolume;
+        this.pressure = 0;       // (restVolume / volume - 1) * strength * CFG.bulkModulus
+        this.pressureRatio = 1;  // restVolume / volume, also scales neuron pressure
+        this.ruptureTimer = 0;   // Seconds until a burst skin holds pressure again
+
+        // Tearing: edges over the strain limit split, disconnected triangle sets become fragments
+        this._buildTopology();
 
         // Scratch vectors
         this.vTmp = new THREE.Vector3();
+        this.vQuery = new THREE.Vector3(); // Closest-vertex lookups (must not clobber vTmp)
         this.vWorld = new THREE.Vector3();
         this.vOrig = new THREE.Vector3();
         this.vBH = new THREE.Vector3();
+        this._holes = [];          // Per-step local-space copies of the active black holes
         this.vHandWorld = new THREE.Vector3();
+        this.vPalm = new THREE.Vector3();
+        this.vPalmN = new THREE.Vector3();
+        this.vFinger = new THREE.Vector3();
+        this._contact = { x: 0, y: 0, z: 0 }; // One collision sphere for _accumulatePush
+        this._contactBufs = [];    // Per-hand local fingertip + palm points (_contactPoints)
         this.dir = new THREE.Vector3();
         this.dir = new THREE.Vector3();
         this.tangent = new THREE.Vector3();
         this.matInv = new THREE.Matrix4();
+        this.localBounds = new THREE.Box3().setFromArray(this.currentPos); // Local-space box of currentPos, refreshed each update
 
         // Dynamic Center of Mass for neuron tracking
         this.centerOfMass = new THREE.Vector3();
@@ -63,8 +122,24 @@ export class SoftBody {
         return t * t * (3 - 2 * t);
     }
 
-    // Find closest vertex to a world position
-    _findClosestVertex(worldPos) {
+    // Find closest vertex to a world position (hash lookup in local space)
+    _findClosestVertex(worldPos, maxWorldDist = Infinity) {
+        if (!isFinite(maxWorldDist)) return this._findClosestVertexLinear(worldPos);
+
+        const s = this.mesh.scale;
+        const minScale = Math.min(Math.abs(s.x), Math.abs(s.y), Math.abs(s.z)) || 1;
+        this.vQuery.copy(worldPos).applyMatrix4(this.matInv);
+        const hit = this.hash.nearest(this.vQuery.x, this.vQuery.y, this.vQuery.z, maxWorldDist / minScale, this.currentPos, this.localBounds);
+        if (hit.index < 0) return { index: -1, distance: Infinity };
+
+        const idx = hit.index * 3;
+        this.vQuery.set(this.currentPos[idx], this.currentPos[idx + 1], this.currentPos[idx + 2]);
+        this.vQuery.applyMatrix4(this.mesh.matrixWorld);
+        return { index: hit.index, distance: this.vQuery.distanceTo(worldPos) };
+    }
+
+    // Reference linear scan (unbounded search)
+    _findClosestVertexLinear(worldPos) {
         let minDist = Infinity;
         let closestIdx = -1;
 
@@ -76,10 +151,10 @@ export class SoftBody {
                 continue; // Skip invalid vertices instead of breaking
             }
 
-            this.vTmp.set(this.currentPos[idx], this.currentPos[idx + 1], this.currentPos[idx + 2]);
-            this.vTmp.applyMatrix4(this.mesh.matrixWorld);
+            this.vQuery.set(this.currentPos[idx], this.currentPos[idx + 1], this.currentPos[idx + 2]);
+            this.vQuery.applyMatrix4(this.mesh.matrixWorld);
 
-            const dist = this.vTmp.distanceTo(worldPos);
+            const dist = this.vQuery.distanceTo(worldPos);
             if (dist < minDist) {
                 minDist = dist;
                 closestIdx = i;
@@ -89,6 +164,530 @@ export class SoftBody {
         return { index: closestIdx, distance: minDist };
     }
 
+    // Hand push: vertices within pushRange of a non-pinching hand (local space); true if any was hit
+    _accumulatePush(hand, pushRange, strength = 0.15) {
+        const pos = this.currentPos;
+        const imp = this.impulse;
+        const pushRange2 = pushRange * pushRange;
+        let touched = false;
+
+        this.hash.query(hand.x, hand.y, hand.z, pushRange, (i) => {
+            const idx = i * 3;
+            const dxh = pos[idx] - hand.x;
+            const dyh = pos[idx + 1] - hand.y;
+            const dzh = pos[idx + 2] - hand.z;
+            const d2h = dxh * dxh + dyh * dyh + dzh * dzh;
+            if (d2h >= pushRange2) return;
+
+            const d = Math.sqrt(d2h) + 1e-6;
+            // Gentle default strength keeps a pushed body from flying away
+            const tFac = 1 - (d / pushRange);
+            const str = this._ease(tFac) * strength;
+            touched = true;
+
+            imp[idx] += (dxh / d) * str;
+            imp[idx + 1] += (dyh / d) * str;
+            imp[idx + 2] += (dzh / d) * str;
+        });
+        return touched;
+    }
+
+    // Per-finger collision: each fingertip and the palm center push as their own sphere.
+    // Returns the contact mask (bit f = FINGER_TIPS[f], CONTACT_PALM = palm)
+    _accumulateContacts(hand) {
+        const fingerRange = CFG.fingerRange ?? 3;
+        const palmRange = CFG.palmRange ?? 5;
+        const strength = CFG.fingerPush ?? 0.1;
+        const p = hand.points;
+        const c = this._contact;
+        let mask = 0;
+        for (let f = 0; f <= CONTACT_PALM; f++) {
+            c.x = p[f * 3]; c.y = p[f * 3 + 1]; c.z = p[f * 3 + 2];
+            if (this._accumulatePush(c, f === CONTACT_PALM ? palmRange : fingerRange, strength)) mask |= 1 << f;
+        }
+        return mask;
+    }
+
+    // Fingertips (index = the smoothed h.pos) + palm center in local space, or null without landmarks
+    // `slot` = the hand's place in this step's list: its buffer is reused every step
+    _contactPoints(h, slot) {
+        if (!h.lm3D || h.lm3D.length < 21) return null;
+        const out = this._contactBufs[slot] || (this._contactBufs[slot] = new Float32Array((CONTACT_PALM + 1) * 3));
+        for (let f = 0; f <= CONTACT_PALM; f++) {
+            const src = f === CONTACT_PALM ? (h.palm ? h.palm.pos : h.lm3D[9]) : (f === 1 ? h.pos : h.lm3D[FINGER_TIPS[f]]);
+            this.vFinger.copy(src).applyMatrix4(this.matInv);
+            out[f * 3] = this.vFinger.x; out[f * 3 + 1] = this.vFinger.y; out[f * 3 + 2] = this.vFinger.z;
+        }
+        return out;
+    }
+
+    // Pinch start: the other fingertips resting on the skin grab their own vertex too (multi-finger hold)
+    _grabFingers(h, grab) {
+        const range = CFG.fingerGrabRange ?? 2;
+        for (let f = 0; f < FINGER_TIPS.length; f++) {
+            if (f === 1) continue; // Index: the main grab
+            this.vFinger.copy(h.lm3D[FINGER_TIPS[f]]);
+            const closest = this._findClosestVertex(this.vFinger, range);
+            if (closest.index < 0 || closest.distance >= range) continue;
+            if (closest.index === grab.vertexIndex || grab.fingers.some(g => g.vertexIndex === closest.index)) continue;
+            grab.fingers.push({ finger: f, vertexIndex: closest.index });
+        }
+    }
+
+    // Palm push: an open palm shoves the skin out of its plane along its normal (local space)
+    _accumulatePalmPush(hand, pushRange) {
+        const pos = this.currentPos;
+        const imp = this.impulse;
+        const strength = CFG.palmPush ?? 0.12;
+        const nx = hand.nx, ny = hand.ny, nz = hand.nz;
+
+        this.hash.query(hand.px, hand.py, hand.pz, pushRange, (i) => {
+            const idx = i * 3;
+            const rx = pos[idx] - hand.px;
+            const ry = pos[idx + 1] - hand.py;
+            const rz = pos[idx + 2] - hand.pz;
+            const along = rx * nx + ry * ny + rz * nz;
+            const lateral = Math.sqrt(Math.max(0, rx * rx + ry * ry + rz * rz - along * along));
+            if (lateral >= pushRange || Math.abs(along) >= pushRange) return;
+
+            // Whichever face of the hand the vertex is on pushes it away
+            const str = this._ease(1 - lateral / pushRange) * this._ease(1 - Math.abs(along) / pushRange) * strength;
+            const dir = along >= 0 ? str : -str;
+            imp[idx] += nx * dir;
+            imp[idx + 1] += ny * dir;
+            imp[idx + 2] += nz * dir;
+        });
+    }
+
+    // Neuron repulsion: only vertices in direct touch with a neuron, scaled by volume pressure
+    _accumulateNeuronPressure(neurons, scale = 1) {
+        const pos = this.currentPos;
+        const imp = this.impulse;
+        // User Request: Interact only on "Direct Touch"
+        // Reduced from 4.0 to 1.5 (Sq: 2.25)
+        const neuronPushRadiusSq = 2.25;
+        const touchRadius = 1.5;
+
+        for (let k = 0; k < neurons.length; k++) {
+            const nUserData = neurons[k].userData;
+            const nx = nUserData.basePos.x;
+            const ny = nUserData.basePos.y;
+            const nz = nUserData.basePos.z;
+            const activity = nUserData.activity || 0;
+
+            this.hash.query(nx, ny, nz, touchRadius, (i) => {
+                const idx = i * 3;
+                const dx = pos[idx] - nx;
+                const dy = pos[idx + 1] - ny;
+                const dz = pos[idx + 2] - nz;
+                const d2 = dx * dx + dy * dy + dz * dz;
+                if (d2 >= neuronPushRadiusSq) return;
+
+                const dist = Math.sqrt(d2) + 0.001;
+                // Push stronger if closer.
+                const pushFactor = (1.0 - dist / touchRadius);
+                const strength = pushFactor * (0.15 + activity * 0.25) * scale;
+
+                imp[idx] += (dx / dist) * strength;
+                imp[idx + 1] += (dy / dist) * strength;
+                imp[idx + 2] += (dz / dist) * strength;
+            });
+        }
+    }
+
+    // Remember positions before a fixed step so rendering can blend between steps
+    snapshot() {
+        this.prevPos.set(this.currentPos);
+    }
+
+    // Write prev→current blend (alpha 0..1) into the geometry
+    interpolate(alpha) {
+        const a = this._clamp01(alpha);
+        const out = this.posAttr.array;
+        const prev = this.prevPos;
+        const cur = this.currentPos;
+        for (let i = 0, n = cur.length; i < n; i++) {
+            out[i] = prev[i] + (cur[i] - prev[i]) * a;
+        }
+        this.posAttr.needsUpdate = true;
+    }
+
+    // Edges between welded corners and the (up to) two triangles sharing each one
+    _buildTopology() {
+        const tris = this.count / 3;
+        const edges = new Map();
+        const edgeTris = [];
+        this.triCount = tris;
+        this.triEdges = new Int32Array(tris * 3);
+
+        for (let t = 0; t < tris; t++) {
+            for (let e = 0; e < 3; e++) {
+                const a = this.weld[t * 3 + e];
+                const b = this.weld[t * 3 + (e + 1) % 3];
+                const key = a < b ? a * this.groupCount + b : b * this.groupCount + a;
+                let id = edges.get(key);
+                if (id === undefined) {
+                    id = edges.size;
+                    edges.set(key, id);
+                    edgeTris.push(t, -1);
+                } else {
+                    edgeTris[id * 2 + 1] = t;
+                }
+                this.triEdges[t * 3 + e] = id;
+            }
+        }
+
+        this.edgeCount = edges.size;
+        this.edgeTris = Int32Array.from(edgeTris);
+
+        // Welded endpoints (+ one real corner for reporting positions)
+        this.edgeA = new Int32Array(this.edgeCount);
+        this.edgeB = new Int32Array(this.edgeCount);
+        this.edgeCorner = new Int32Array(this.edgeCount);
+        for (let t = 0; t < tris; t++) {
+            for (let e = 0; e < 3; e++) {
+                const id = this.triEdges[t * 3 + e];
+                this.edgeA[id] = this.weld[t * 3 + e];
+                this.edgeB[id] = this.weld[t * 3 + (e + 1) % 3];
+                this.edgeCorner[id] = t * 3 + e;
+            }
+        }
+        this._gCur = new Float32Array(this.groupCount * 3);
+        this._gRest = new Float32Array(this.groupCount * 3);
+        this._gCnt = new Int32Array(this.groupCount);
+        this.torn = new Uint8Array(this.edgeCount);
+        this.tornCount = 0;
+        this._parent = new Int32Array(tris); // union-find scratch
+
+        this.triFragment = new Int32Array(tris);       // 0 = main body
+        this.vertFragment = new Int32Array(this.count);
+        this.fragmentCount = 1;
+        this.fragOffset = new Float32Array(3);          // spring target shift per fragment
+        this.fragHeld = new Uint8Array(1);
+        this._fragCur = new Float64Array(3);            // _updateFragments sums, sized with fragOffset
+        this._fragRest = new Float64Array(3);
+        this._fragCount = new Int32Array(1);
+    }
+
+    // Connected components over intact edges; the largest one stays the main body (0)
+    _rebuildFragments() {
+        const tris = this.triCount;
+        const parent = this._parent;
+        for (let t = 0; t < tris; t++) parent[t] = t;
+        const find = (x) => {
+            while (parent[x] !== x) {
+                parent[x] = parent[parent[x]];
+                x = parent[x];
+            }
+            return x;
+        };
+
+        for (let e = 0; e < this.edgeCount; e++) {
+            const t2 = this.edgeTris[e * 2 + 1];
+            if (this.torn[e] || t2 < 0) continue;
+            const r1 = find(this.edgeTris[e * 2]);
+            const r2 = find(t2);
+            if (r1 !== r2) parent[r1] = r2;
+        }
+
+        const size = new Map();
+        for (let t = 0; t < tris; t++) {
+            const r = find(t);
+            size.set(r, (size.get(r) || 0) + 1);
+        }
+        const label = new Map();
+        [...size.keys()].sort((a, b) => size.get(b) - size.get(a)).forEach((r, i) => label.set(r, i));
+
+        for (let t = 0; t < tris; t++) {
+            const f = label.get(find(t));
+            this.triFragment[t] = f;
+            this.vertFragment[t * 3] = f;
+            this.vertFragment[t * 3 + 1] = f;
+            this.vertFragment[t * 3 + 2] = f;
+        }
+
+        const before = this.fragmentCount;
+        this.fragmentCount = size.size;
+        if (this.fragOffset.length < this.fragmentCount * 3) {
+            this.fragOffset = new Float32Array(this.fragmentCount * 3);
+            this.fragHeld = new Uint8Array(this.fragmentCount);
+            this._fragCur = new Float64Array(this.fragmentCount * 3);
+            this._fragRest = new Float64Array(this.fragmentCount * 3);
+            this._fragCount = new Int32Array(this.fragmentCount);
+        }
+        this.fragOffset.fill(0);
+        return this.fragmentCount - before;
+    }
+
+    // Fragments keep their shape but translate freely; released ones drift back and re-merge
+    _updateFragments(hl, breathing, dt) {
+        const n = this.fragmentCount;
+        const cur = this._fragCur;
+        const rest = this._fragRest;
+        const cnt = this._fragCount;
+        const pos = this.currentPos;
+        cur.fill(0, 0, n * 3);
+        rest.fill(0, 0, n * 3);
+        cnt.fill(0, 0, n);
+
+        for (let i = 0; i < this.count; i++) {
+            const f = this.vertFragment[i];
+            if (f === 0) continue;
+            const idx = i * 3;
+            cur[f * 3] += pos[idx]; cur[f * 3 + 1] += pos[idx + 1]; cur[f * 3 + 2] += pos[idx + 2];
+            rest[f * 3] += this.restPos[idx]; rest[f * 3 + 1] += this.restPos[idx + 1]; rest[f * 3 + 2] += this.restPos[idx + 2];
+            cnt[f]++;
+        }
+
+        this.fragHeld.fill(0);
+        for (let h = 0; h < hl.length; h++) {
+            if (hl[h].pinch && hl[h].grabVertex >= 0) this.fragHeld[this.vertFragment[hl[h].grabVertex]] = 1;
+        }
+
+        const merge = Math.max(0, 1 - (CFG.mergeRate ?? 0.6) * dt);
+        const mergeDist = CFG.mergeDist ?? 0.6;
+        let healed = false;
+
+        for (let f = 1; f < n; f++) {
+            if (!cnt[f]) continue;
+            const k = 1 / cnt[f];
+            let ox = cur[f * 3] * k - rest[f * 3] * k * breathing;
+            let oy = cur[f * 3 + 1] * k - rest[f * 3 + 1] * k * breathing;
+            let oz = cur[f * 3 + 2] * k - rest[f * 3 + 2] * k * breathing;
+
+            if (!this.fragHeld[f]) {
+                ox *= merge; oy *= merge; oz *= merge;
+                // Back in place: stitch its edges to whatever it touches
+                if (ox * ox + oy * oy + oz * oz < mergeDist * mergeDist) {
+                    this._healFragment(f);
+                    healed = true;
+                }
+            }
+            this.fragOffset[f * 3] = ox;
+            this.fragOffset[f * 3 + 1] = oy;
+            this.fragOffset[f * 3 + 2] = oz;
+        }
+
+        if (healed) this._rebuildFragments();
+    }
+
+    _healFragment(f) {
+        for (let e = 0; e < this.edgeCount; e++) {
+            if (!this.torn[e]) continue;
+            const t1 = this.edgeTris[e * 2], t2 = this.edgeTris[e * 2 + 1];
+            if (this.triFragment[t1] === f || (t2 >= 0 && this.triFragment[t2] === f)) {
+                this.torn[e] = 0;
+                this.tornCount--;
+            }
+        }
+    }
+
+    // Strain check after integration on welded edges of the main body; returns true if something tore
+    _checkTears(hl, tearStrain) {
+        const pos = this.currentPos;
+        const rest = this.restPos;
+        const limit2 = (1 + tearStrain) * (1 + tearStrain);
+        const heal2 = 1.1 * 1.1;
+
+        // Welded corner positions (main body only: pieces must not drag the seam along)
+        const gCur = this._gCur, gRest = this._gRest, gCnt = this._gCnt;
+        gCur.fill(0); gRest.fill(0); gCnt.fill(0);
+        for (let i = 0; i < this.count; i++) {
+            if (this.vertFragment[i] !== 0) continue;
+            const g = this.weld[i] * 3;
+            const idx = i * 3;
+            gCur[g] += pos[idx]; gCur[g + 1] += pos[idx + 1]; gCur[g + 2] += pos[idx + 2];
+            gRest[g] += rest[idx]; gRest[g + 1] += rest[idx + 1]; gRest[g + 2] += rest[idx + 2];
+            gCnt[this.weld[i]]++;
+        }
+
+        let tornEdge = -1;
+        for (let e = 0; e < this.edgeCount; e++) {
+            const t1 = this.edgeTris[e * 2], t2 = this.edgeTris[e * 2 + 1];
+            // Pieces already torn off stay whole
+            if (this.triFragment[t1] !== 0 || (t2 >= 0 && this.triFragment[t2] !== 0)) continue;
+
+            const a = this.edgeA[e], b = this.edgeB[e];
+            const ka = 1 / gCnt[a], kb = 1 / gCnt[b];
+            const dx = gCur[a * 3] * ka - gCur[b * 3] * kb;
+            const dy = gCur[a * 3 + 1] * ka - gCur[b * 3 + 1] * kb;
+            const dz = gCur[a * 3 + 2] * ka - gCur[b * 3 + 2] * kb;
+            const rx = gRest[a * 3] * ka - gRest[b * 3] * kb;
+            const ry = gRest[a * 3 + 1] * ka - gRest[b * 3 + 1] * kb;
+            const rz = gRest[a * 3 + 2] * ka - gRest[b * 3 + 2] * kb;
+            const L2 = dx * dx + dy * dy + dz * dz;
+            const L02 = rx * rx + ry * ry + rz * rz;
+
+            if (!this.torn[e]) {
+                if (L2 > L02 * limit2) {
+                    tornEdge = e;
+                    break;
+                }
+            } else if (L2 < L02 * heal2) {
+                // A crack that did not split anything off closes once it is relaxed again
+                this.torn[e] = 0;
+                this.tornCount--;
+            }
+        }
+        if (tornEdge < 0) return false;
+        const tornVertex = this.edgeCorner[tornEdge];
+
+        // Over-stretched next to a grab: rip the whole patch around the grabbed vertex
+        const patchR = CFG.tearPatchRadius ?? 4;
+        let grab = -1;
+        let grabD2 = (patchR * 2) * (patchR * 2);
+        for (let h = 0; h < hl.length; h++) {
+            const g = hl[h].grabVertex;
+            if (!hl[h].pinch || g < 0) continue;
+            const d2 = (rest[g * 3] - rest[tornVertex * 3]) ** 2 +
+                (rest[g * 3 + 1] - rest[tornVertex * 3 + 1]) ** 2 +
+                (rest[g * 3 + 2] - rest[tornVertex * 3 + 2]) ** 2;
+            if (d2 < grabD2) {
+                grabD2 = d2;
+                grab = g;
+            }
+        }
+
+        if (grab >= 0) this._ripPatch(grab, patchR);
+        else this._tearEdge(tornEdge);
+
+        const pieces = this._rebuildFragments();
+        if (pieces > 0 && this.onTear) {
+            const v = grab >= 0 ? grab : tornVertex;
+            try {
+                this.onTear(new THREE.Vector3(pos[v * 3], pos[v * 3 + 1], pos[v * 3 + 2]), this.fragmentCount);
+            } catch (e) { /* ignore */ }
+        }
+        return true;
+    }
+
+    _tearEdge(edge) {
+        if (this.torn[edge]) return;
+        this.torn[edge] = 1;
+        this.tornCount++;
+    }
+
+    // Cut every edge on the border of the triangles around `vertex` (rest distance < radius)
+    _ripPatch(vertex, radius) {
+        const rest = this.restPos;
+        const gx = rest[vertex * 3], gy = rest[vertex * 3 + 1], gz = rest[vertex * 3 + 2];
+        const r2 = radius * radius;
+        const frag = this.vertFragment[vertex];
+        const inPatch = new Uint8Array(this.triCount);
+
+        for (let t = 0; t < this.triCount; t++) {
+            if (this.triFragment[t] !== frag) continue;
+            let inside = true;
+            for (let k = 0; k < 3 && inside; k++) {
+                const i = (t * 3 + k) * 3;
+                const d2 = (rest[i] - gx) ** 2 + (rest[i + 1] - gy) ** 2 + (rest[i + 2] - gz) ** 2;
+                inside = d2 < r2;
+            }
+            inPatch[t] = inside ? 1 : 0;
+        }
+        inPatch[Math.floor(vertex / 3)] = 1;
+
+        for (let e = 0; e < this.edgeCount; e++) {
+            const t1 = this.edgeTris[e * 2], t2 = this.edgeTris[e * 2 + 1];
+            if (t2 >= 0 && inPatch[t1] !== inPatch[t2]) this._tearEdge(e);
+        }
+    }
+
+    // Enclosed volume: sum of signed tetrahedra (origin, triangle)
+    _volume(pos) {
+        let v = 0;
+        for (let a = 0, n = this.count * 3; a < n; a += 9) {
+            const ax = pos[a], ay = pos[a + 1], az = pos[a + 2];
+            const bx = pos[a + 3], by = pos[a + 4], bz = pos[a + 5];
+            const cx = pos[a + 6], cy = pos[a + 7], cz = pos[a + 8];
+            v += ax * (by * cz - bz * cy) + ay * (bz * cx - bx * cz) + az * (bx * cy - by * cx);
+        }
+        return v / 6;
+    }
+
+    // Pressure pushes every welded vertex along its area-weighted normal
+    _accumulatePressure(strength, breathing) {
+        const pos = this.currentPos;
+        const n = this.weldNormal;
+        const weld = this.weld;
+        n.fill(0);
+
+        let vol = 0;
+        let normalSum = 0;
+        for (let t = 0; t < this.count; t += 3) {
+            const a = t * 3;
+            const ax = pos[a], ay = pos[a + 1], az = pos[a + 2];
+            const bx = pos[a + 3], by = pos[a + 4], bz = pos[a + 5];
+            const cx = pos[a + 6], cy = pos[a + 7], cz = pos[a + 8];
+
+            vol += ax * (by * cz - bz * cy) + ay * (bz * cx - bx * cz) + az * (bx * cy - by * cx);
+
+            // (b - a) x (c - a): twice the area along the outward normal
+            const e1x = bx - ax, e1y = by - ay, e1z = bz - az;
+            const e2x = cx - ax, e2y = cy - ay, e2z = cz - az;
+            const nx = e1y * e2z - e1z * e2y;
+            const ny = e1z * e2x - e1x * e2z;
+            const nz = e1x * e2y - e1y * e2x;
+            normalSum += Math.sqrt(nx * nx + ny * ny + nz * nz) * 3;
+
+            for (let k = 0; k < 3; k++) {
+                const g = weld[t + k] * 3;
+                n[g] += nx; n[g + 1] += ny; n[g + 2] += nz;
+            }
+        }
+        vol /= 6;
+
+        const target = this.restVolume * breathing * breathing * breathing;
+        this.volume = vol;
+        this.pressureRatio = target / Math.max(vol, target * 0.05);
+        this.pressure = Math.max(-5, Math.min(10, (this.pressureRatio - 1) * strength * (CFG.bulkModulus ?? 100)));
+
+        // A burst skin vents, then seals back up over ruptureHeal seconds
+        const heal = CFG.ruptureHeal ?? 2.0;
+        const seal = this.ruptureTimer > 0 ? 1 - this.ruptureTimer / heal : 1;
+        if (strength <= 0 || normalSum <= 0) return;
+
+        // Normalize by the mean welded normal so the push does not depend on mesh detail
+        const k = this.pressure * seal * 0.005 * this.groupCount / normalSum;
+        const imp = this.impulse;
+        for (let i = 0; i < this.count; i++) {
+            const g = weld[i] * 3;
+            const idx = i * 3;
+            imp[idx] += n[g] * k;
+            imp[idx + 1] += n[g + 1] * k;
+            imp[idx + 2] += n[g + 2] * k;
+        }
+    }
+
+    // Pressure over the threshold: blow out the most stretched spot and vent
+    _rupture(vertex) {
+        const pos = this.currentPos;
+        const vel = this.velocity;
+        const idx = vertex * 3;
+        const px = pos[idx], py = pos[idx + 1], pz = pos[idx + 2];
+        const radius = CFG.ruptureRadius ?? 3.0;
+        const burst = (CFG.ruptureBurst ?? 0.6) * Math.min(2, this.pressure);  // Stronger squeeze, bigger blowout
+
+        this.hash.query(px, py, pz, radius, (i) => {
+            const j = i * 3;
+            const dx = pos[j] - this.centerOfMass.x;
+            const dy = pos[j + 1] - this.centerOfMass.y;
+            const dz = pos[j + 2] - this.centerOfMass.z;
+            const dd = Math.sqrt((pos[j] - px) ** 2 + (pos[j + 1] - py) ** 2 + (pos[j + 2] - pz) ** 2);
+            if (dd >= radius) return;
+            const r = Math.sqrt(dx * dx + dy * dy + dz * dz) + 1e-6;
+            const f = burst * (1 - dd / radius);
+            vel[j] += (dx / r) * f;
+            vel[j + 1] += (dy / r) * f;
+            vel[j + 2] += (dz / r) * f;
+        });
+
+        this.ruptureTimer = CFG.ruptureHeal ?? 2.0;
+        if (this.onRupture) {
+            try { this.onRupture(new THREE.Vector3(px, py, pz), this.pressure); } catch (e) { /* ignore */ }
+        }
+    }
+
     // Reset soft body to initial state
     reset() {
         const count = this.count;
@@ -107,6 +706,17 @@ export class SoftBody {
             // Reset absorption
             this.absorb[i] = 0;
         }
+        this.prevPos.set(this.currentPos);
+        this.restPos.set(this.origPos);
+        this.restVolume = this._volume(this.restPos);
+        this.volume = this.restVolume;
+        this.pressure = 0;
+        this.pressureRatio = 1;
+        this.ruptureTimer = 0;
+        this.torn.fill(0);
+        this.tornCount = 0;
+        this._rebuildFragments();
+        this.hash.update(this.currentPos);
 
         // Update geometry
         this.geometry.attributes.position.needsUpdate = true;
@@ -115,7 +725,7 @@ export class SoftBody {
         // Reset CoM
         this.centerOfMass.set(0, 0, 0);
         if (this.mesh.userData.centerOfMass) this.mesh.userData.centerOfMass.set(0, 0, 0);
-        this.mesh.userData.currentRadius = CFG.radius;
+        this.mesh.userData.currentRadius = this.radius;
 
         // CRITICAL: Recompute bounds to ensure frustum culling doesn't hide the reset sphere
         this.geometry.computeBoundingSphere();
@@ -124,9 +734,255 @@ export class SoftBody {
         console.log("🔄 SoftBody reset & bounds recomputed");
     }
 
-    update(hands, singularity, deltaTime, neurons = null) {
+    // Other bodies (world-space spheres {x, y, z, r}): vertices inside get pushed out to the surface
+    _accumulateColliders(colliders) {
+        const pos = this.currentPos;
+        const imp = this.impulse;
+        const s = this.mesh.scale;
+        const invScale = 1 / (Math.max(Math.abs(s.x), Math.abs(s.y), Math.abs(s.z)) || 1);
+        const stiffness = CFG.collisionStiffness ?? 0.25;
+        const { min, max } = this.localBounds;
+
+        for (let c = 0; c < colliders.length; c++) {
+            const col = colliders[c];
+            this.vQuery.set(col.x, col.y, col.z).applyMatrix4(this.matInv);
+            const cx = this.vQuery.x, cy = this.vQuery.y, cz = this.vQuery.z;
+            const r = col.r * invScale;
+            const r2 = r * r;
+
+            // A small body (tiny scale) sees other colliders huge in local units: only scan
+            // the part of the collider's box that overlaps this body's vertices
+            const x0 = Math.max(cx - r, min.x), x1 = Math.min(cx + r, max.x);
+            const y0 = Math.max(cy - r, min.y), y1 = Math.min(cy + r, max.y);
+            const z0 = Math.max(cz - r, min.z), z1 = Math.min(cz + r, max.z);
+            if (x0 > x1 || y0 > y1 || z0 > z1) continue;
+
+            this.hash.queryBox(x0, y0, z0, x1, y1, z1, (i) => {
+                const idx = i * 3;
+                const dx = pos[idx] - cx;
+                const dy = pos[idx + 1] - cy;
+                const dz = pos[idx + 2] - cz;
+                const d2 = dx * dx + dy * dy + dz * dz;
+                if (d2 >= r2) return;
+
+                const d = Math.sqrt(d2) + 1e-6;
+                const depth = (r - d) * stiffness;
+                imp[idx] += (dx / d) * depth;
+                imp[idx + 1] += (dy / d) * depth;
+                imp[idx + 2] += (dz / d) * depth;
+            });
+        }
+    }
+
+    /**
+     * Pull of one black hole on vertex i (hole position and radii in local space).
+     * Every active hole runs this in turn, so their contributions add up.
+     * Returns true when the vertex was swallowed (clamped into the hole).
+     */
+    _applyHole(i, hole, pull, dt, sphereScale) {
+        const idx = i * 3;
+        const cfg = hole.cfg;
+        const bhX = hole.x, bhY = hole.y, bhZ = hole.z;
+        const influenceR = hole.influenceR;
+        const horizonR = hole.horizonR;
+        const x = this.currentPos[idx];
+        const y = this.currentPos[idx + 1];
+        const z = this.currentPos[idx + 2];
+
+        // UNIFIED TARGET: Pull everything into the deep tunnel
+        // This ensures Gravity and Funnel forces agree on direction (-Z)
+        const tunnelDepth = cfg.tunnelDepth || 8;
+        const targetZ = bhZ - tunnelDepth;
+
+        const dx = bhX - x;
+        const dy = bhY - y;
+        const dz = targetZ - z; // Gravity pulls to deep point
+
+        // OPTIMIZATION: Use distSq for early exit
+        const distSq = dx * dx + dy * dy + dz * dz;
+        const influenceRSq = influenceR * influenceR;
+
+        // For distant vertices - still apply gravity but weaker
+        // DO NOT return early - the caller still integrates this vertex!
+
+        const softening = cfg.eps * cfg.eps;
+        const safeDist = Math.sqrt(distSq + softening);
+        const invDist = 1 / safeDist;
+
+        // Normalized direction TO deep center
+        const rHatX = dx * invDist;
+        const rHatY = dy * invDist;
+        const rHatZ = dz * invDist;
+
+        // === UNIVERSAL GRAVITY ===
+        // Now pulls towards the deep targetZ, preventing "forward pull"
+        const basePull = cfg.mass / (distSq + softening + 100);
+        const distantPull = Math.min(basePull, cfg.maxAccel * 0.3);
+
+        // Apply base gravity to ALL vertices
+        this.velocity[idx] += rHatX * distantPull * dt * pull;
+        this.velocity[idx + 1] += rHatY * distantPull * dt * pull;
+        this.velocity[idx + 2] += rHatZ * distantPull * dt * pull;
+
+        // === DIRECT POSITION PULL (Funnel Effect) ===
+        const suctionSpeed = cfg.suctionSpeed || 0.15;
+        const ease = pull * dt * suctionSpeed * 8.0;
+
+        // Apply force towards the DEEP target (Funnel)
+        // We use the same dx, dy, dz (which are already pointing to target)
+        this.currentPos[idx] += dx * ease * 0.8;     // Strong XY alignment
+        this.currentPos[idx + 1] += dy * ease * 0.8; // Strong XY alignment
+        this.currentPos[idx + 2] += dz * ease * 0.5; // Moderate Z depth
+
+        // Skip detailed physics for very distant vertices
+        if (distSq > influenceRSq) {
+            this.absorb[i] = Math.max(0, this.absorb[i] - 1.0 * dt);
+        } else {
+            // === CLAMP TO CENTER IF ABSORBED ===
+            if (this.absorb[i] >= 0.95 || distSq < 1.0) {
+                this.currentPos[idx] = bhX;
+                this.currentPos[idx + 1] = bhY;
+                this.currentPos[idx + 2] = bhZ;
+                this.velocity[idx] = 0;
+                this.velocity[idx + 1] = 0;
+                this.velocity[idx + 2] = 0;
+                return true; // Stop processing this vertex
+            }
+            // === INSIDE INFLUENCE ZONE ===
+            const t = 1 - (safeDist / influenceR);
+            const infl = t * t * (3 - 2 * t);
+
+            // Strong pinch for close vertices
+            const pinchStrength = cfg.mass / (distSq + softening);
+            const clampedPinch = Math.min(pinchStrength, cfg.maxAccel);
+            const radialAccel = clampedPinch * dt * infl * pull;
+
+            this.velocity[idx] += rHatX * radialAccel;
+            this.velocity[idx + 1] += rHatY * radialAccel;
+            this.velocity[idx + 2] += rHatZ * radialAccel;
+
+            // === STRONGER DIRECT POSITION PULL for close vertices ===
+            const strongPull = infl * pull * dt * suctionSpeed * 12;
+            this.currentPos[idx] += dx * strongPull * 0.1;
+            this.currentPos[idx + 1] += dy * strongPull * 0.1;
+            this.currentPos[idx + 2] += dz * strongPull * 0.1;
+
+            // === PHASE 3: SWIRL (Spiral Rotation) ===
+            // Cross product: upAxis(0,0,1) × rHat = (-rHatY, rHatX, 0)
+            const tangentX = -rHatY;
+            const tangentY = rHatX;
+            // tangentZ = 0 for rotation around Z axis
+
+            // Swirl increases closer to center
+            const swirlStrength = cfg.spin / (safeDist + 1.0);
+            const swirlAccel = swirlStrength * dt * infl * pull;
+
+            this.velocity[idx] += tangentX * swirlAccel;
+            this.velocity[idx + 1] += tangentY * swirlAccel;
+
+            // === PHASE 4: COMPRESSION (Perpendicular Squeeze) ===
+            // Compute radial velocity component
+            const vDotR = this.velocity[idx] * rHatX +
+                this.velocity[idx + 1] * rHatY +
+                this.velocity[idx + 2] * rHatZ;
+
+            // Tidal zone: compress perpendicular to pull direction
+            const tidalR = cfg.tidalRadius / sphereScale;
+            if (safeDist < tidalR) {
+                const tidalFactor = 1 - (safeDist / tidalR);
+
+                // Decompose velocity into radial and perpendicular
+                const radialVx = vDotR * rHatX;
+                const radialVy = vDotR * rHatY;
+                const radialVz = vDotR * rHatZ;
+
+                const perpVx = this.velocity[idx] - radialVx;
+                const perpVy = this.velocity[idx + 1] - radialVy;
+                const perpVz = this.velocity[idx + 2] - radialVz;
+
+                // COMPRESS perpendicular (makes stream thinner)
+                // PRESERVE radial (keeps pulling towards BH)
+                // FIX: Stronger compression for "tight" funnel
+                const compression = 1 - tidalFactor * 0.75 * cfg.tidalStrength;
+
+                this.velocity[idx] = radialVx + perpVx * compression;
+                this.velocity[idx + 1] = radialVy + perpVy * compression;
+                this.velocity[idx + 2] = radialVz + perpVz * compression;
+
+                // BOOST radial velocity slightly (accelerate towards BH)
+                const radialBoost = 1 + tidalFactor * 0.15 * cfg.tidalStrength;
+                this.velocity[idx] += rHatX * (radialBoost - 1) * Math.abs(vDotR);
+                this.velocity[idx + 1] += rHatY * (radialBoost - 1) * Math.abs(vDotR);
+                this.velocity[idx + 2] += rHatZ * (radialBoost - 1) * Math.abs(vDotR);
+            }
+
+            // Drag (energy loss during inspiral)
+            const dragFactor = 1 - (cfg.drag * dt * infl * pull);
+            const damp = Math.max(0.85, dragFactor);
+            this.velocity[idx] *= damp;
+            this.velocity[idx + 1] *= damp;
+            this.velocity[idx + 2] *= damp;
+
+            // === PHASE 5: ABSORPTION & VERTEX CLAMPING ===
+            if (safeDist < horizonR) {
+                // Calculate absorption rate
+                const absorbRaw = Math.min(1, (horizonR - safeDist) / (horizonR - (cfg.absorbRadius || 3)))
+                    * cfg.absorbRate * dt * pull;
+                const absorb = Math.min(absorbRaw, 0.015);
+
+                // Audio trigger
+                if (absorb > 0.001 && this.rng() < 0.03) {
+                    try {
+                        if (this.onRumble) {
+                            this.onRumble(0.8);
+                        } else if (window.audio && window.audio.triggerRumble) {
+                            window.audio.triggerRumble(0.8);
+                        }
+                    } catch (e) { /* ignore */ }
+                }
+
+                this.absorb[i] = Math.min(1, this.absorb[i] + absorb);
+
+                // Pull vertex towards BH center (suction effect)
+                const pullToBH = absorb * 2.5;
+                this.currentPos[idx] += dx * pullToBH * 0.1;
+                this.currentPos[idx + 1] += dy * pullToBH * 0.1;
+                this.currentPos[idx + 2] += dz * pullToBH * 0.1;
+
+                // Z-depth tunnel effect
+                const depth = cfg.tunnelDepth * (0.35 + 0.65 * pull);
+                this.currentPos[idx + 2] -= absorb * depth * 0.5;
+
+                // Kill velocity as absorbed
+                const velocityDampen = 1 - 0.6 * this.absorb[i];
+                this.velocity[idx] *= velocityDampen;
+                this.velocity[idx + 1] *= velocityDampen;
+                this.velocity[idx + 2] *= velocityDampen;
+
+                // Very close to center: clamp to BH position
+                const absR = (cfg.absorbRadius || 3) / sphereScale;
+                if (safeDist < absR) {
+                    const lerpFactor = 0.2 * this.absorb[i];
+                    this.currentPos[idx] += (bhX - this.currentPos[idx]) * lerpFactor;
+                    this.currentPos[idx + 1] += (bhY - this.currentPos[idx + 1]) * lerpFactor;
+                    this.currentPos[idx + 2] += (bhZ - this.currentPos[idx + 2]) * lerpFactor;
+
+                    // Almost no velocity at center
+                    this.velocity[idx] *= 0.15;
+                    this.velocity[idx + 1] *= 0.15;
+                    this.velocity[idx + 2] *= 0.15;
+                }
+            } else {
+                // Relax absorption when outside horizon
+                this.absorb[i] = Math.max(0, this.absorb[i] - 0.25 * dt);
+            }
+        } // end of else (inside influence zone)
+        return false;
+    }
+
+    update(hands, singularity, deltaTime, neurons = null, colliders = null) {
         let dt = Math.min(0.033, Math.max(0.008, deltaTime || 0.016));
-        const t = performance.now() * 0.001;
+        const t = this.clock() * 0.001;
 
         this.mesh.updateMatrixWorld();
         this.matInv.copy(this.mesh.matrixWorld).invert();
@@ -135,33 +991,54 @@ export class SoftBody {
         const pos = this.currentPos;
         const vel = this.velocity;
         const count = this.count; // Corrected from `this.numVertices`
-        const springK = 0.035; // These variables are introduced but not used in the provided snippet's loop.
-        const friction = 0.92; // They might be intended for a later part of the physics update.
+        // Material: own preset or the live CFG values (Tuner / voice presets write there)
+        const mat = this.material || CFG;
+        const springK = this.spring ?? mat.spring ?? CFG.spring;
+        const damping = mat.damping ?? 0.88;
+        const plasticity = mat.plasticity || 0;
+        const yieldDist = mat.yieldDist || 0;
+        const volumeK = mat.volume || 0;
+        const tearStrain = mat.tearStrain ?? CFG.tearStrain ?? 5;
 
         // -- SAFETY FLAG --
         let hasNaN = false;
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
 
         for (let i = 0; i < count; i++) {
             const idx = i * 3;
+            const x = pos[idx], y = pos[idx + 1], z = pos[idx + 2];
 
             // -- SAFETY CHECK --
-            if (isNaN(pos[idx]) || isNaN(pos[idx + 1]) || isNaN(pos[idx + 2])) {
+            if (isNaN(x) || isNaN(y) || isNaN(z)) {
                 hasNaN = true;
                 break;
             }
+            if (x < minX) minX = x;
+            if (x > maxX) maxX = x;
+            if (y < minY) minY = y;
+            if (y > maxY) maxY = y;
+            if (z < minZ) minZ = z;
+            if (z > maxZ) maxZ = z;
         }
+        this.localBounds.min.set(minX, minY, minZ);
+        this.localBounds.max.set(maxX, maxY, maxZ);
+
+        // Refresh spatial grid (only vertices that changed cell are moved)
+        if (!hasNaN) this.hash.update(pos);
 
         const sphereScale = this.mesh.scale.x || 1;
-        const sphereRadius = CFG.radius * sphereScale;
+        const sphereRadius = this.radius * sphereScale;
 
         // Breathing - DISABLED during black hole to prevent expansion
-        // Use STATE directly since local bhEnabled/pull are defined later
-        const breathingActive = STATE.mode !== 'SINGULARITY' || STATE.blackHolePull < 0.3;
+        // Use state directly since local bhEnabled/pull are defined later
+        const breathingActive = this.state.mode !== 'SINGULARITY' || this.state.blackHolePull < 0.3;
         const breathing = breathingActive ? (1.0 + Math.sin(t * 1.2) * 0.025) : 1.0;
 
         // ---- Process hands and grab points ----
         const hl = this._handsLocal;
         hl.length = 0;
+        for (const k in this.contacts) delete this.contacts[k];
 
         const currentPinchState = {};
         const touchRadius = sphereRadius * 2.5; // Increased range for easier grabbing
@@ -174,7 +1051,7 @@ export class SoftBody {
                 const handId = k;
                 currentPinchState[handId] = h.pinch;
 
-                // Transform hand to local space
+                // Transform hand to local space (h.pos.z is the tracked hand depth, HAND_DEPTH)
                 this.vTmp.copy(h.pos).applyMatrix4(this.matInv);
                 this.vHandWorld.copy(h.pos);
 
@@ -185,37 +1062,68 @@ export class SoftBody {
                 if (h.pinch) {
                     if (!this._prevPinch[handId]) {
                         // Just started pinching - find grab point if close enough
-                        const closest = this._findClosestVertex(this.vHandWorld);
-                        if (closest.index >= 0 && closest.distance < touchRadius) {
-                            this.grabPoints.set(handId, {
-                                vertexIndex: closest.index,
-                                initialHandPos: this.vHandWorld.clone()
-                            });
-                        }
+                        const closest = this._findClosestVertex(this.vHandWorld, touchRadius);
+                        const grab = {
+                            vertexIndex: closest.index >= 0 && closest.distance < touchRadius ? closest.index : -1,
+                            initialHandPos: this.vHandWorld.clone(),
+                            fingers: []
+                        };
+                        if (h.lm3D && h.lm3D.length >= 21) this._grabFingers(h, grab);
+                        if (grab.vertexIndex >= 0 || grab.fingers.length) this.grabPoints.set(handId, grab);
                     }
                     // Add to local hands list for processing
                     const grab = this.grabPoints.get(handId);
+                    const fingers = grab ? grab.fingers : [];
+                    const share = 1 / (1 + fingers.length); // Several grabs split the skin they drag along
                     hl.push({
                         x: this.vTmp.x,
                         y: this.vTmp.y,
                         z: this.vTmp.z,
                         pinch: true,
                         grabVertex: grab ? grab.vertexIndex : -1,
+                        share,
                         handId
                     });
+                    let mask = grab && grab.vertexIndex >= 0 ? (1 << 0) | (1 << 1) : 0; // Thumb + index hold the pinch
+                    for (const g of fingers) {
+                        this.vFinger.copy(h.lm3D[FINGER_TIPS[g.finger]]).applyMatrix4(this.matInv);
+                        hl.push({
+                            x: this.vFinger.x,
+                            y: this.vFinger.y,
+                            z: this.vFinger.z,
+                            pinch: true,
+                            grabVertex: g.vertexIndex,
+                            share,
+                            handId
+                        });
+                        mask |= 1 << g.finger;
+                    }
+                    if (mask) this.contacts[handId] = mask;
                 } else {
                     // Not pinching - clear grab point
                     this.grabPoints.delete(handId);
 
                     // Push interaction (when not pinching)
-                    hl.push({
+                    const entry = {
                         x: this.vTmp.x,
                         y: this.vTmp.y,
                         z: this.vTmp.z,
                         pinch: false,
                         grabVertex: -1,
-                        handId
-                    });
+                        handId,
+                        palm: false,
+                        points: this._contactPoints(h, hl.length)
+                    };
+
+                    // Open palm (world-landmark pose): its center and normal in local space
+                    if (h.palm && !(h.fistFactor > 0.5)) {
+                        this.vPalm.copy(h.palm.pos).applyMatrix4(this.matInv);
+                        this.vPalmN.copy(h.palm.normal).transformDirection(this.matInv);
+                        entry.palm = true;
+                        entry.px = this.vPalm.x; entry.py = this.vPalm.y; entry.pz = this.vPalm.z;
+                        entry.nx = this.vPalmN.x; entry.ny = this.vPalmN.y; entry.nz = this.vPalmN.z;
+                    }
+                    hl.push(entry);
                 }
 
                 this._prevPinch[handId] = h.pinch;
@@ -228,27 +1136,61 @@ export class SoftBody {
                 this.grabPoints.delete(handId);
             }
         }
+        for (const handId in this._prevPinch) {
+            if (!(handId in (hands || {}))) delete this._prevPinch[handId]; // Back with a pinch = new grab
+        }
 
-        // ---- Black hole state ----
-        let bhEnabled = false;
-        let bhX = 0, bhY = 0, bhZ = 0;
-        let influenceR = 0, horizonR = 0, softR = 0;
-        let pull = 0;
-
-        if (singularity && singularity.enabled && STATE.blackHolePull > 0.001) {
-            this.vBH.copy(singularity.pos).applyMatrix4(this.matInv);
-            bhX = this.vBH.x; bhY = this.vBH.y; bhZ = this.vBH.z;
-
-            influenceR = (BLACK_HOLE.influenceRadius ?? 70) / sphereScale;
-            horizonR = (BLACK_HOLE.horizonRadius ?? 6) / sphereScale;
-            softR = (BLACK_HOLE.softening ?? 1.25) / sphereScale;
-
-            pull = STATE.blackHolePull;
-            bhEnabled = true;
+        // ---- Black hole state (one Singularity or a list of them) ----
+        const holes = this._holes;
+        let holeCount = 0;
+        const pull = this.state.blackHolePull;
+        const list = Array.isArray(singularity) ? singularity : (singularity ? [singularity] : []);
+
+        if (pull > 0.001) {
+            for (const s of list) {
+                if (!s || !s.enabled) continue;
+                const cfg = s.params || BLACK_HOLE;
+                this.vBH.copy(s.pos).applyMatrix4(this.matInv);
+
+                const hole = holes[holeCount] || (holes[holeCount] = {});
+                hole.x = this.vBH.x; hole.y = this.vBH.y; hole.z = this.vBH.z;
+                hole.cfg = cfg;
+                hole.influenceR = (cfg.influenceRadius ?? 70) / sphereScale;
+                hole.horizonR = (cfg.horizonRadius ?? 6) / sphereScale;
+                holeCount++;
+            }
         }
+        const bhEnabled = holeCount > 0;
 
         const pushRange = CFG.pushRange;
-        const pushRange2 = pushRange * pushRange;
+
+        // Gather push + neuron pressure impulses through the spatial hash
+        const impulse = this.impulse;
+        impulse.fill(0);
+        if (!hasNaN) {
+            for (let h = 0; h < hl.length; h++) {
+                const hand = hl[h];
+                if (hand.pinch) continue;
+                if (hand.points) {
+                    const mask = this._accumulateContacts(hand);
+                    if (mask) this.contacts[hand.handId] = mask;
+                } else {
+                    this._accumulatePush(hand, pushRange);
+                }
+                if (hand.palm) this._accumulatePalmPush(hand, pushRange);
+            }
+            // Real pressure first: neurons push harder while the body is squeezed
+            // Torn skin does not hold pressure
+            this._accumulatePressure(bhEnabled || this.tornCount > 0 ? 0 : volumeK, breathing);
+            if (neurons) this._accumulateNeuronPressure(neurons, Math.min(3, Math.max(0.5, this.pressureRatio)));
+            if (colliders && colliders.length) this._accumulateColliders(colliders);
+        }
+        if (this.ruptureTimer > 0) this.ruptureTimer = Math.max(0, this.ruptureTimer - dt);
+        if (!hasNaN && this.fragmentCount > 1) this._updateFragments(hl, breathing, dt);
+        const fragOffset = this.fragOffset;
+        const vertFragment = this.vertFragment;
+        let bulgeVertex = -1;
+        let bulgeMax = 0;
 
         const gravBase = BLACK_HOLE.gravity ?? 0.85;
         const maxAccel = BLACK_HOLE.maxAccel ?? 1.35;
@@ -291,50 +1233,25 @@ export class SoftBody {
             // Fix: Allow full shrink to 0.0
             const shrinkFactor = Math.max(0, 1.0 - vertexAbsorb);
 
-            const ox = this.origPos[idx] * breathing * shrinkFactor;
-            const oy = this.origPos[idx + 1] * breathing * shrinkFactor;
-            const oz = this.origPos[idx + 2] * breathing * shrinkFactor;
+            // Fragments aim at their rest shape shifted to where the piece is now
+            const frag = vertFragment[i];
+            const ox = this.restPos[idx] * breathing * shrinkFactor + (frag ? fragOffset[frag * 3] : 0);
+            const oy = this.restPos[idx + 1] * breathing * shrinkFactor + (frag ? fragOffset[frag * 3 + 1] : 0);
+            const oz = this.restPos[idx + 2] * breathing * shrinkFactor + (frag ? fragOffset[frag * 3 + 2] : 0);
 
             // Spring force - REDUCED during black hole to allow suction
             // Also reduce based on absorption (absorbed vertices lose spring)
             const absorbReduction = 1.0 - vertexAbsorb * 0.8;
             const springFactor = bhEnabled ? Math.max(0.05, (1 - pull * 0.9) * absorbReduction) : 1.0;
-            this.velocity[idx] += (ox - x) * CFG.spring * springFactor;
-            this.velocity[idx + 1] += (oy - y) * CFG.spring * springFactor;
-            this.velocity[idx + 2] += (oz - z) * CFG.spring * springFactor;
-
-            // ---- NEURON REPULSION (Internal Pressure) ----
-            if (neurons) {
-                // Optimized CPU repulsion
-                // User Request: Interact only on "Direct Touch"
-                // Reduced from 4.0 to 1.5 (Sq: 2.25)
-                const neuronPushRadiusSq = 2.25;
-                const touchRadius = 1.5;
-
-                for (let k = 0; k < neurons.length; k++) {
-                    const nUserData = neurons[k].userData;
-                    const nx = nUserData.basePos.x;
-                    const ny = nUserData.basePos.y;
-                    const nz = nUserData.basePos.z;
-
-                    const dx = x - nx;
-                    const dy = y - ny;
-                    const dz = z - nz;
-                    const d2 = dx * dx + dy * dy + dz * dz;
-
-                    if (d2 < neuronPushRadiusSq) {
-                        const dist = Math.sqrt(d2) + 0.001;
-                        // Push stronger if closer. 
-                        const pushFactor = (1.0 - dist / touchRadius);
-                        const activity = nUserData.activity || 0;
-                        const strength = pushFactor * (0.15 + activity * 0.25);
-
-                        this.velocity[idx] += (dx / dist) * strength;
-                        this.velocity[idx + 1] += (dy / dist) * strength;
-                        this.velocity[idx + 2] += (dz / dist) * strength;
-                    }
-                }
-            }
+            this.velocity[idx] += (ox - x) * springK * springFactor;
+            this.velocity[idx + 1] += (oy - y) * springK * springFactor;
+            this.velocity[idx + 2] += (oz - z) * springK * springFactor;
+
+            // ---- PUSH + NEURON REPULSION (Internal Pressure) ----
+            // Precomputed per step via the spatial hash (_accumulatePush / _accumulateNeuronPressure)
+            this.velocity[idx] += impulse[idx];
+            this.velocity[idx + 1] += impulse[idx + 1];
+            this.velocity[idx + 2] += impulse[idx + 2];
 
             // ---- Hand interactions ----
             for (let h = 0; h < hl.length; h++) {
@@ -364,8 +1281,8 @@ export class SoftBody {
                             this.velocity[idx + 1] += (-dyh / handDist) * pullStrength;
                             this.velocity[idx + 2] += (-dzh / handDist) * pullStrength;
                         }
-                    } else {
-                        // Nearby vertices: FOLLOW the grabbed vertex, not the hand
+                    } else if (vertFragment[hand.grabVertex] === frag) {
+                        // Nearby vertices: FOLLOW the grabbed vertex, not the hand (same piece only)
                         const distToGrab = Math.sqrt(
                             (x - gx) ** 2 + (y - gy) ** 2 + (z - gz) ** 2
                         );
@@ -380,9 +1297,9 @@ export class SoftBody {
 
                             // How far is grabbed vertex from its original position?
                             const origGrabIdx = hand.grabVertex * 3;
-                            const origGx = this.origPos[origGrabIdx];
-                            const origGy = this.origPos[origGrabIdx + 1];
-                            const origGz = this.origPos[origGrabIdx + 2];
+                            const origGx = this.restPos[origGrabIdx];
+                            const origGy = this.restPos[origGrabIdx + 1];
+                            const origGz = this.restPos[origGrabIdx + 2];
                             const grabDisplacement = Math.sqrt(
                                 (gx - origGx) ** 2 + (gy - origGy) ** 2 + (gz - origGz) ** 2
                             );
@@ -391,7 +1308,7 @@ export class SoftBody {
                             const falloff = Math.pow(1 - distToGrab / influenceRadius, 1.5);
 
                             // Pull strength based on how much the grabbed vertex moved
-                            const followStrength = grabDisplacement * 0.15 * falloff;
+                            const followStrength = grabDisplacement * 0.15 * falloff * hand.share;
 
                             if (followStrength > 0.001) {
                                 const norm = distToGrab + 0.01;
@@ -401,228 +1318,23 @@ export class SoftBody {
                             }
                         }
                     }
-                } else if (!hand.pinch) {
-                    // Check if this hand just released a pinch (was grabbing something)
-                    // We prevent immediate push if the hand is still very close where it was pinching
-                    // to prevent "explosion" effect
-                    const justReleased = hand.grabVertex >= 0; // This might be cleared already by input system?
-                    // Actually, grabVertex is set to -1 in update loop when !pinch.
-                    // So we need a better heuristic. 
-
-                    // PUSH interaction
-                    // Only push if we are somewhat outside the sphere or if the movement is slow
-                    if (d2h < pushRange2) {
-                        const d = Math.sqrt(d2h) + 1e-6;
-                        // Reduce push strength significantly to prevent "flying away"
-                        // Also, maybe only push if d > sphereRadius * 0.8?
-                        const tFac = 1 - (d / pushRange);
-                        const str = this._ease(tFac) * 0.15; // Reduced from 0.4 to 0.15
-
-                        this.velocity[idx] += (dxh / d) * str;
-                        this.velocity[idx + 1] += (dyh / d) * str;
-                        this.velocity[idx + 2] += (dzh / d) * str;
-                    }
                 }
+                // Non-pinching hands push through the impulse buffer above
             }
 
-            // ---- REALISTIC SPAGHETTIFICATION PHYSICS ----
-            let bhFade = 0;
-
+            // ---- REALISTIC SPAGHETTIFICATION PHYSICS (summed over all active holes) ----
             if (bhEnabled) {
-                // UNIFIED TARGET: Pull everything into the deep tunnel
-                // This ensures Gravity and Funnel forces agree on direction (-Z)
-                const tunnelDepth = BLACK_HOLE.tunnelDepth || 8;
-                const targetZ = bhZ - tunnelDepth;
-
-                const dx = bhX - x;
-                const dy = bhY - y;
-                const dz = targetZ - z; // Gravity pulls to deep point
-
-                // OPTIMIZATION: Use distSq for early exit
-                const distSq = dx * dx + dy * dy + dz * dz;
-                const influenceRSq = influenceR * influenceR;
-
-                // For distant vertices - still apply gravity but weaker
-                // DO NOT use continue - it skips integration!
-
-                const softening = BLACK_HOLE.eps * BLACK_HOLE.eps;
-                const safeDist = Math.sqrt(distSq + softening);
-                const invDist = 1 / safeDist;
-
-                // Normalized direction TO deep center
-                const rHatX = dx * invDist;
-                const rHatY = dy * invDist;
-                const rHatZ = dz * invDist;
-
-                // === UNIVERSAL GRAVITY ===
-                // Now pulls towards the deep targetZ, preventing "forward pull"
-                const basePull = BLACK_HOLE.mass / (distSq + softening + 100);
-                const distantPull = Math.min(basePull, BLACK_HOLE.maxAccel * 0.3);
-
-                // Apply base gravity to ALL vertices
-                this.velocity[idx] += rHatX * distantPull * dt * pull;
-                this.velocity[idx + 1] += rHatY * distantPull * dt * pull;
-                this.velocity[idx + 2] += rHatZ * distantPull * dt * pull;
-
-                // === DIRECT POSITION PULL (Funnel Effect) ===
-                const suctionSpeed = BLACK_HOLE.suctionSpeed || 0.15;
-                const ease = pull * dt * suctionSpeed * 8.0;
-
-                // Apply force towards the DEEP target (Funnel)
-                // We use the same dx, dy, dz (which are already pointing to target)
-                this.currentPos[idx] += dx * ease * 0.8;     // Strong XY alignment
-                this.currentPos[idx + 1] += dy * ease * 0.8; // Strong XY alignment
-                this.currentPos[idx + 2] += dz * ease * 0.5; // Moderate Z depth
-
-                // Skip detailed physics for very distant vertices
-                if (distSq > influenceRSq) {
-                    this.absorb[i] = Math.max(0, this.absorb[i] - 1.0 * dt);
-                } else {
-                    // === CLAMP TO CENTER IF ABSORBED ===
-                    if (this.absorb[i] >= 0.95 || distSq < 1.0) {
-                        this.currentPos[idx] = bhX;
-                        this.currentPos[idx + 1] = bhY;
-                        this.currentPos[idx + 2] = bhZ;
-                        this.velocity[idx] = 0;
-                        this.velocity[idx + 1] = 0;
-                        this.velocity[idx + 2] = 0;
-                        continue; // Stop processing this vertex
-                    }
-                    // === INSIDE INFLUENCE ZONE ===
-                    const t = 1 - (safeDist / influenceR);
-                    const infl = t * t * (3 - 2 * t);
-
-                    // Strong pinch for close vertices
-                    const pinchStrength = BLACK_HOLE.mass / (distSq + softening);
-                    const clampedPinch = Math.min(pinchStrength, BLACK_HOLE.maxAccel);
-                    const radialAccel = clampedPinch * dt * infl * pull;
-
-                    this.velocity[idx] += rHatX * radialAccel;
-                    this.velocity[idx + 1] += rHatY * radialAccel;
-                    this.velocity[idx + 2] += rHatZ * radialAccel;
-
-                    // === STRONGER DIRECT POSITION PULL for close vertices ===
-                    const strongPull = infl * pull * dt * suctionSpeed * 12;
-                    this.currentPos[idx] += dx * strongPull * 0.1;
-                    this.currentPos[idx + 1] += dy * strongPull * 0.1;
-                    this.currentPos[idx + 2] += dz * strongPull * 0.1;
-
-                    // === PHASE 3: SWIRL (Spiral Rotation) ===
-                    // Cross product: upAxis(0,0,1) × rHat = (-rHatY, rHatX, 0)
-                    const tangentX = -rHatY;
-                    const tangentY = rHatX;
-                    // tangentZ = 0 for rotation around Z axis
-
-                    // Swirl increases closer to center
-                    const swirlStrength = BLACK_HOLE.spin / (safeDist + 1.0);
-                    const swirlAccel = swirlStrength * dt * infl * pull;
-
-                    this.velocity[idx] += tangentX * swirlAccel;
-                    this.velocity[idx + 1] += tangentY * swirlAccel;
-
-                    // === PHASE 4: COMPRESSION (Perpendicular Squeeze) ===
-                    // Compute radial velocity component
-                    const vDotR = this.velocity[idx] * rHatX +
-                        this.velocity[idx + 1] * rHatY +
-                        this.velocity[idx + 2] * rHatZ;
-
-                    // Tidal zone: compress perpendicular to pull direction
-                    const tidalR = BLACK_HOLE.tidalRadius / sphereScale;
-                    if (safeDist < tidalR) {
-                        const tidalFactor = 1 - (safeDist / tidalR);
-
-                        // Decompose velocity into radial and perpendicular
-                        const radialVx = vDotR * rHatX;
-                        const radialVy = vDotR * rHatY;
-                        const radialVz = vDotR * rHatZ;
-
-                        const perpVx = this.velocity[idx] - radialVx;
-                        const perpVy = this.velocity[idx + 1] - radialVy;
-                        const perpVz = this.velocity[idx + 2] - radialVz;
-
-                        // COMPRESS perpendicular (makes stream thinner)
-                        // PRESERVE radial (keeps pulling towards BH)
-                        // FIX: Stronger compression for "tight" funnel
-                        const compression = 1 - tidalFactor * 0.75 * BLACK_HOLE.tidalStrength;
-
-                        this.velocity[idx] = radialVx + perpVx * compression;
-                        this.velocity[idx + 1] = radialVy + perpVy * compression;
-                        this.velocity[idx + 2] = radialVz + perpVz * compression;
-
-                        // BOOST radial velocity slightly (accelerate towards BH)
-                        const radialBoost = 1 + tidalFactor * 0.15 * BLACK_HOLE.tidalStrength;
-                        this.velocity[idx] += rHatX * (radialBoost - 1) * Math.abs(vDotR);
-                        this.velocity[idx + 1] += rHatY * (radialBoost - 1) * Math.abs(vDotR);
-                        this.velocity[idx + 2] += rHatZ * (radialBoost - 1) * Math.abs(vDotR);
-                    }
-
-                    // Drag (energy loss during inspiral)
-                    const dragFactor = 1 - (BLACK_HOLE.drag * dt * infl * pull);
-                    const damp = Math.max(0.85, dragFactor);
-                    this.velocity[idx] *= damp;
-                    this.velocity[idx + 1] *= damp;
-                    this.velocity[idx + 2] *= damp;
-
-                    // === PHASE 5: ABSORPTION & VERTEX CLAMPING ===
-                    if (safeDist < horizonR) {
-                        // Calculate absorption rate
-                        const absorbRaw = Math.min(1, (horizonR - safeDist) / (horizonR - (BLACK_HOLE.absorbRadius || 3)))
-                            * BLACK_HOLE.absorbRate * dt * pull;
-                        const absorb = Math.min(absorbRaw, 0.015);
-
-                        // Audio trigger
-                        if (absorb > 0.001 && Math.random() < 0.03) {
-                            try {
-                                if (window.audio && window.audio.triggerRumble) {
-                                    window.audio.triggerRumble(0.8);
-                                }
-                            } catch (e) { /* ignore */ }
-                        }
-
-                        this.absorb[i] = Math.min(1, this.absorb[i] + absorb);
-
-                        // Pull vertex towards BH center (suction effect)
-                        const pullToBH = absorb * 2.5;
-                        this.currentPos[idx] += dx * pullToBH * 0.1;
-                        this.currentPos[idx + 1] += dy * pullToBH * 0.1;
-                        this.currentPos[idx + 2] += dz * pullToBH * 0.1;
-
-                        // Z-depth tunnel effect
-                        const depth = BLACK_HOLE.tunnelDepth * (0.35 + 0.65 * pull);
-                        this.currentPos[idx + 2] -= absorb * depth * 0.5;
-
-                        // Kill velocity as absorbed
-                        const velocityDampen = 1 - 0.6 * this.absorb[i];
-                        this.velocity[idx] *= velocityDampen;
-                        this.velocity[idx + 1] *= velocityDampen;
-                        this.velocity[idx + 2] *= velocityDampen;
-
-                        // Very close to center: clamp to BH position
-                        const absR = (BLACK_HOLE.absorbRadius || 3) / sphereScale;
-                        if (safeDist < absR) {
-                            const lerpFactor = 0.2 * this.absorb[i];
-                            this.currentPos[idx] += (bhX - this.currentPos[idx]) * lerpFactor;
-                            this.currentPos[idx + 1] += (bhY - this.currentPos[idx + 1]) * lerpFactor;
-                            this.currentPos[idx + 2] += (bhZ - this.currentPos[idx + 2]) * lerpFactor;
-
-                            // Almost no velocity at center
-                            this.velocity[idx] *= 0.15;
-                            this.velocity[idx + 1] *= 0.15;
-                            this.velocity[idx + 2] *= 0.15;
-                        }
-                    } else {
-                        // Relax absorption when outside horizon
-                        this.absorb[i] = Math.max(0, this.absorb[i] - 0.25 * dt);
-                    }
-
-                    bhFade = this.absorb[i];
-                } // end of else (inside influence zone)
-            } // end of if (bhEnabled)
+                let swallowed = false;
+                for (let k = 0; k < holeCount && !swallowed; k++) {
+                    swallowed = this._applyHole(i, holes[k], pull, dt, sphereScale);
+                }
+                if (swallowed) continue; // Stop processing this vertex
+            }
 
             // Integration & Friction - MUST be outside bhEnabled block!
-            this.velocity[idx] *= 0.88;
-            this.velocity[idx + 1] *= 0.88;
-            this.velocity[idx + 2] *= 0.88;
+            this.velocity[idx] *= damping;
+            this.velocity[idx + 1] *= damping;
+            this.velocity[idx + 2] *= damping;
 
             this.currentPos[idx] += this.velocity[idx] * dt * 60;
             this.currentPos[idx + 1] += this.velocity[idx + 1] * dt * 60;
@@ -630,13 +1342,29 @@ export class SoftBody {
 
             this.posAttr.setXYZ(i, this.currentPos[idx], this.currentPos[idx + 1], this.currentPos[idx + 2]);
 
-            // Stress
-            const sx = this.currentPos[idx] - this.origPos[idx];
-            const sy = this.currentPos[idx + 1] - this.origPos[idx + 1];
-            const sz = this.currentPos[idx + 2] - this.origPos[idx + 2];
+            // Stress (relative to the rest shape, so kept dents calm down)
+            const sx = this.currentPos[idx] - this.restPos[idx];
+            const sy = this.currentPos[idx + 1] - this.restPos[idx + 1];
+            const sz = this.currentPos[idx + 2] - this.restPos[idx + 2];
             const stress = Math.sqrt(sx * sx + sy * sy + sz * sz);
             maxStress = Math.max(maxStress, stress);
 
+            // Most outward-stretched vertex is where the skin gives way
+            const bulge = sx * dx + sy * dy + sz * dz;
+            if (bulge > bulgeMax) {
+                bulgeMax = bulge;
+                bulgeVertex = i;
+            }
+
+            // Plastic flow: displacement beyond the yield distance becomes the new rest shape.
+            // restVolume stays at the original volume, so a dent pushes material out elsewhere
+            if (plasticity > 0 && !bhEnabled && frag === 0 && stress > yieldDist) {
+                const flow = (1 - yieldDist / stress) * plasticity;
+                this.restPos[idx] += sx * flow;
+                this.restPos[idx + 1] += sy * flow;
+                this.restPos[idx + 2] += sz * flow;
+            }
+
             // Color based on stress: cyan → yellow → orange → red
             const stressNorm = Math.min(1.0, stress * 0.5);
 
@@ -680,9 +1408,22 @@ export class SoftBody {
                 vel[idx + 2] = 0;
                 this.absorb[i] = 0;
             }
+            this.prevPos.set(pos);
+            this.restPos.set(this.origPos);
+            this.restVolume = this._volume(this.restPos);
+            this.torn.fill(0);
+            this.tornCount = 0;
+            this._rebuildFragments();
+        }
+
+        if (!hasNaN && !bhEnabled && tearStrain > 0) this._checkTears(hl, tearStrain);
+
+        const ruptureAt = mat.ruptureThreshold ?? CFG.ruptureThreshold ?? 0.6;
+        if (!hasNaN && !bhEnabled && this.ruptureTimer <= 0 && this.pressure > ruptureAt && bulgeVertex >= 0) {
+            this._rupture(bulgeVertex);
         }
 
-        STATE.stressEMA = STATE.stressEMA * 0.92 + maxStress * 0.08;
+        if (this.trackStress) this.state.stressEMA = this.state.stressEMA * 0.92 + maxStress * 0.08;
 
         // Update Sphere UserData for NeuralNet to use
         if (this.count > 0) {
@@ -0,0 +1,248 @@
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { CFG, BLACK_HOLE, STATE } from '../config.js';
+import { SoftBody } from './SoftBody.js';
+
+/**
+ * SoftBodyProxy (main thread side of SoftBodyWorker)
+ *
+ * Same surface as SoftBody (update / snapshot / interpolate / reset, currentPos, absorb ...)
+ * so PhysicsWorld does not care where the integration runs.
+ * - update() queues the step and posts it when the worker is idle
+ * - results are uploaded to the geometry; buffers are transferred back for reuse
+ * - any worker failure falls back to an in-thread SoftBody with the last known state
+ */
+export class SoftBodyProxy {
+    constructor(mesh, options = {}) {
+        this.mesh = mesh;
+        this.options = options;
+        this.state = options.state || STATE;
+        this.material = options.material || null; // Per-body MATERIALS preset (sent every step)
+        this.geometry = mesh.geometry;
+        this.posAttr = this.geometry.attributes.position;
+        this.colorAttr = this.geometry.attributes.color;
+        this.colors = this.colorAttr.array;
+        this.count = this.posAttr.count;
+
+        // Mirrors of worker buffers (read by HUD / NeuralNet / interpolation)
+        this.origPos = this.posAttr.array.slice();
+        this.currentPos = this.posAttr.array.slice();
+        this.prevPos = this.posAttr.array.slice();
+        this.absorb = new Float32Array(this.count);
+        this.centerOfMass = new THREE.Vector3();
+        this.pressure = 0;
+        this.fragmentCount = 1;
+        this.contacts = {};
+
+        this.fallback = null;
+        this.ready = false;
+        this.busy = false;
+        this.epoch = 0;
+        this.pendingDts = [];
+        this.maxPending = 8; // Worker stalled: drop oldest steps instead of piling up
+        this.latest = null;
+        this.recycle = null;
+
+        try {
+            this.worker = new Worker(new URL('./SoftBodyWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (e) => this._onMessage(e.data);
+            this.worker.onerror = (e) => this._useFallback(e.message || 'worker error');
+            this.worker.postMessage({
+                type: 'init',
+                origPos: this.origPos,
+                radius: options.radius,
+                spring: options.spring,
+                trackStress: options.trackStress
+            });
+        } catch (err) {
+            this._useFallback(err.message);
+        }
+    }
+
+    get velocity() {
+        return this.fallback ? this.fallback.velocity : null;
+    }
+
+    _useFallback(reason) {
+        if (this.fallback) return;
+        console.warn(`SoftBody worker unavailable (${reason}), running on main thread`);
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+
+        const sb = new SoftBody(this.mesh, this.options);
+        sb.origPos.set(this.origPos);
+        sb.currentPos.set(this.currentPos);
+        sb.prevPos.set(this.currentPos);
+        sb.absorb.set(this.absorb);
+        this.fallback = sb;
+        this.currentPos = sb.currentPos;
+        this.prevPos = sb.prevPos;
+        this.absorb = sb.absorb;
+        this.centerOfMass = sb.centerOfMass;
+    }
+
+    update(hands, singularity, deltaTime, neurons = null, colliders = null) {
+        if (this.fallback) {
+            this.fallback.material = this.material;
+            this.fallback.update(hands, singularity, deltaTime, neurons, colliders);
+            this.pressure = this.fallback.pressure;
+            this.fragmentCount = this.fallback.fragmentCount;
+            this.contacts = this.fallback.contacts;
+            return;
+        }
+
+        this.pendingDts.push(deltaTime);
+        if (this.pendingDts.length > this.maxPending) this.pendingDts.shift();
+        this.latest = { hands, singularity, neurons, colliders };
+
+        if (this.ready && !this.busy) this._flush();
+    }
+
+    _flush() {
+        const { hands, singularity, neurons, colliders } = this.latest;
+
+        // Only what SoftBody reads; Vector3 becomes {x, y, z} through structured clone
+        const handsMsg = {};
+        if (hands) {
+            for (const k in hands) {
+                const h = hands[k];
+                if (!h || !h.pos) continue;
+                handsMsg[k] = { pos: { x: h.pos.x, y: h.pos.y, z: h.pos.z }, pinch: !!h.pinch, fistFactor: h.fistFactor || 0 };
+                if (h.palm) handsMsg[k].palm = { pos: { x: h.palm.pos.x, y: h.palm.pos.y, z: h.palm.pos.z }, normal: { x: h.palm.normal.x, y: h.palm.normal.y, z: h.palm.normal.z } };
+                if (h.lm3D) handsMsg[k].lm3D = h.lm3D.map(p => ({ x: p.x, y: p.y, z: p.z }));
+            }
+        }
+
+        const neuronsMsg = neurons ? neurons.map(n => ({
+            userData: {
+                basePos: { x: n.userData.basePos.x, y: n.userData.basePos.y, z: n.userData.basePos.z },
+                activity: n.userData.activity || 0
+            }
+        })) : null;
+
+        const m = this.mesh;
+        const msg = {
+            type: 'step',
+            epoch: this.epoch,
+            dts: this.pendingDts,
+            hands: handsMsg,
+            neurons: neuronsMsg,
+            colliders: colliders ? colliders.map(c => ({ x: c.x, y: c.y, z: c.z, r: c.r })) : null,
+            transform: {
+                position: m.position.toArray(),
+                quaternion: m.quaternion.toArray(),
+                scale: m.scale.toArray()
+            },
+            singularities: (Array.isArray(singularity) ? singularity : (singularity ? [singularity] : []))
+                .filter(s => s.enabled)
+                .map(s => ({ enabled: true, pos: s.pos.toArray(), params: s.params })),
+            state: {
+                mode: this.state.mode,
+                blackHolePull: this.state.blackHolePull,
+                stressEMA: this.state.stressEMA
+            },
+            cfg: { ...CFG },
+            material: this.material,
+            bh: BLACK_HOLE,
+            recycle: this.recycle
+        };
+
+        const transfer = this.recycle ? [this.recycle.pos.buffer, this.recycle.color.buffer, this.recycle.absorb.buffer] : [];
+        this.recycle = null;
+        this.pendingDts = [];
+        this.busy = true;
+        this.worker.postMessage(msg, transfer);
+    }
+
+    _onMessage(msg) {
+        if (msg.type === 'ready') {
+            this.ready = true;
+            if (this.pendingDts.length) this._flush();
+            return;
+        }
+        if (msg.type !== 'result' || this.fallback) return;
+
+        this.busy = false;
+        const buffers = { pos: msg.pos, color: msg.color, absorb: msg.absorb };
+
+        if (msg.epoch === this.epoch) {
+            // Upload to geometry
+            this.prevPos.set(this.currentPos);
+            this.currentPos.set(msg.pos);
+            this.posAttr.array.set(msg.pos);
+            this.colors.set(msg.color);
+            this.absorb.set(msg.absorb);
+            this.posAttr.needsUpdate = true;
+            this.colorAttr.needsUpdate = true;
+
+            if (this.options.trackStress !== false) this.state.stressEMA = msg.stressEMA;
+            const ud = this.mesh.userData;
+            ud.currentRadius = msg.userData.currentRadius;
+            ud.currentRadiusXY = msg.userData.currentRadiusXY;
+            ud.currentRadiusZ = msg.userData.currentRadiusZ;
+            this.centerOfMass.fromArray(msg.userData.centerOfMass);
+            if (!ud.centerOfMass) ud.centerOfMass = new THREE.Vector3();
+            ud.centerOfMass.copy(this.centerOfMass);
+            this.pressure = msg.pressure;
+            this.fragmentCount = msg.fragmentCount;
+            this.contacts = msg.contacts || {};
+
+            if (msg.ruptures && this.options.onRupture) {
+                for (const r of msg.ruptures) this.options.onRupture(new THREE.Vector3(r[0], r[1], r[2]), r[3]);
+            }
+            if (msg.tears && this.options.onTear) {
+                for (const t of msg.tears) this.options.onTear(new THREE.Vector3(t[0], t[1], t[2]), t[3]);
+            }
+
+            if (msg.rumble > 0) {
+                try {
+                    if (this.options.onRumble) this.options.onRumble(0.8);
+                    else if (window.audio && window.audio.triggerRumble) window.audio.triggerRumble(0.8);
+                } catch (e) { /* ignore */ }
+            }
+        }
+
+        this.recycle = buffers;
+        if (this.pendingDts.length) this._flush();
+    }
+
+    snapshot() {
+        // Worker results arrive asynchronously; prevPos is rotated in _onMessage instead
+        if (this.fallback) this.fallback.snapshot();
+    }
+
+    interpolate(alpha) {
+        if (this.fallback) return this.fallback.interpolate(alpha);
+        SoftBody.prototype.interpolate.call(this, alpha);
+    }
+
+    _clamp01(x) { return x < 0 ? 0 : (x > 1 ? 1 : x); }
+
+    reset() {
+        if (this.fallback) return this.fallback.reset();
+
+        // Results already in flight belong to the old epoch and get dropped
+        this.epoch++;
+        this.pendingDts = [];
+        this.currentPos.set(this.origPos);
+        this.prevPos.set(this.origPos);
+        this.posAttr.array.set(this.origPos);
+        this.absorb.fill(0);
+        this.pressure = 0;
+        this.fragmentCount = 1;
+        this.contacts = {};
+        this.posAttr.needsUpdate = true;
+
+        this.centerOfMass.set(0, 0, 0);
+        if (this.mesh.userData.centerOfMass) this.mesh.userData.centerOfMass.set(0, 0, 0);
+        this.mesh.userData.currentRadius = this.options.radius || CFG.radius;
+        this.geometry.computeBoundingSphere();
+        this.geometry.computeBoundingBox();
+
+        if (this.worker) this.worker.postMessage({ type: 'reset' });
+    }
+
+    dispose() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+    }
+}
@@ -0,0 +1,115 @@
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { CFG, BLACK_HOLE } from '../config.js';
+import { SoftBody } from './SoftBody.js';
+
+/**
+ * SoftBody Worker
+ *
+ * Runs the SoftBody integration off the main thread. The main thread (SoftBodyProxy)
+ * posts hands, sphere transform, black holes and config each tick; the worker answers
+ * with positions/colors/absorb as transferable Float32Arrays that are recycled back.
+ *
+ * Messages in:  init | step | reset
+ * Messages out: ready | result
+ */
+
+let softBody = null;
+let mesh = null;
+let rumble = 0;
+const ruptures = [];
+const tears = [];
+const pool = [];
+
+const state = { mode: 'NORMAL', blackHolePull: 0, stressEMA: 0 };
+const singularities = [];
+
+function init(msg) {
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(msg.origPos), 3));
+    geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(msg.origPos.length), 3));
+    mesh = new THREE.Mesh(geo);
+
+    softBody = new SoftBody(mesh, {
+        state,
+        radius: msg.radius,
+        spring: msg.spring,
+        trackStress: msg.trackStress,
+        onRumble: () => { rumble++; },
+        onRupture: (p, pressure) => { ruptures.push([p.x, p.y, p.z, pressure]); },
+        onTear: (p, fragments) => { tears.push([p.x, p.y, p.z, fragments]); }
+    });
+    self.postMessage({ type: 'ready', count: softBody.count });
+}
+
+function step(msg) {
+    if (!softBody) return;
+
+    // Tuner edits live on the main thread copy of the config
+    Object.assign(CFG, msg.cfg);
+    Object.assign(BLACK_HOLE, msg.bh);
+    Object.assign(state, msg.state);
+
+    mesh.position.fromArray(msg.transform.position);
+    mesh.quaternion.fromArray(msg.transform.quaternion);
+    mesh.scale.fromArray(msg.transform.scale);
+
+    // Enabled holes only; their params are already resolved on the main thread
+    singularities.length = msg.singularities.length;
+    msg.singularities.forEach((s, k) => {
+        const hole = singularities[k] || (singularities[k] = { enabled: true, pos: new THREE.Vector3(), params: null });
+        hole.pos.fromArray(s.pos);
+        hole.params = s.params;
+    });
+
+    softBody.material = msg.material || null;
+
+    if (msg.recycle) pool.push(msg.recycle);
+
+    rumble = 0;
+    ruptures.length = 0;
+    tears.length = 0;
+    for (const dt of msg.dts) {
+        softBody.update(msg.hands, singularities, dt, msg.neurons, msg.colliders);
+    }
+
+    const n3 = softBody.count * 3;
+    const out = pool.pop() || {
+        pos: new Float32Array(n3),
+        color: new Float32Array(n3),
+        absorb: new Float32Array(softBody.count)
+    };
+    out.pos.set(softBody.currentPos);
+    out.color.set(softBody.colors);
+    out.absorb.set(softBody.absorb);
+
+    const com = softBody.centerOfMass;
+    self.postMessage({
+        type: 'result',
+        epoch: msg.epoch,
+        pos: out.pos,
+        color: out.color,
+        absorb: out.absorb,
+        stressEMA: state.stressEMA,
+        rumble,
+        pressure: softBody.pressure,
+        ruptures: ruptures.length ? ruptures.slice() : null,
+        tears: tears.length ? tears.slice() : null,
+        fragmentCount: softBody.fragmentCount,
+        contacts: softBody.contacts,
+        userData: {
+            currentRadius: mesh.userData.currentRadius,
+            currentRadiusXY: mesh.userData.currentRadiusXY,
+            currentRadiusZ: mesh.userData.currentRadiusZ,
+            centerOfMass: [com.x, com.y, com.z]
+        }
+    }, [out.pos.buffer, out.color.buffer, out.absorb.buffer]);
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    switch (msg.type) {
+        case 'init': init(msg); break;
+        case 'step': step(msg); break;
+        case 'reset': if (softBody) softBody.reset(); break;
+    }
+};
@@ -0,0 +1,132 @@
+/**
+ * SpatialHash - uniform grid over point positions (flat xyz Float32Array)
+ *
+ * - update(positions) moves only points whose cell changed since the last call
+ * - query(x, y, z, r, cb) visits candidate indices in the cells overlapping the sphere
+ *   (callers still distance-check; cells are coarse and hashed keys may collide)
+ * - queryBox(minX, minY, minZ, maxX, maxY, maxZ, cb) does the same for an axis-aligned box
+ * - nearest(x, y, z, maxR, positions, bounds) returns { index, distance } of the closest point within maxR
+ *   (optional bounds = THREE.Box3 around all points caps the search)
+ */
+export class SpatialHash {
+    constructor(count, cellSize = 2.0) {
+        this.count = count;
+        this.cellSize = cellSize;
+        this.inv = 1 / cellSize;
+
+        this.cells = new Map();                  // key -> number[] of point indices
+        this.cellOf = new Float64Array(count);   // key of the cell each point sits in
+        this.slot = new Int32Array(count);       // index of the point inside its cell array
+        this.cellOf.fill(NaN);
+        this.cellsVisited = 0;                   // Running count of cells scanned by queries (cost probe)
+    }
+
+    _key(ix, iy, iz) {
+        // Offset keeps keys non-negative for |i| < 1024; collisions only cost extra candidates
+        return ((ix + 1024) * 2048 + (iy + 1024)) * 2048 + (iz + 1024);
+    }
+
+    _remove(i) {
+        const list = this.cells.get(this.cellOf[i]);
+        if (!list) return;
+        const s = this.slot[i];
+        const last = list.pop();
+        if (last !== i) {
+            list[s] = last;
+            this.slot[last] = s;
+        }
+        if (list.length === 0) this.cells.delete(this.cellOf[i]);
+    }
+
+    update(positions) {
+        const inv = this.inv;
+        let moved = 0;
+        for (let i = 0; i < this.count; i++) {
+            const idx = i * 3;
+            const x = positions[idx], y = positions[idx + 1], z = positions[idx + 2];
+            if (!isFinite(x) || !isFinite(y) || !isFinite(z)) continue;
+
+            const key = this._key(Math.floor(x * inv), Math.floor(y * inv), Math.floor(z * inv));
+            if (key === this.cellOf[i]) continue;
+
+            if (!isNaN(this.cellOf[i])) this._remove(i);
+            let list = this.cells.get(key);
+            if (!list) {
+                list = [];
+                this.cells.set(key, list);
+            }
+            this.slot[i] = list.length;
+            list.push(i);
+            this.cellOf[i] = key;
+            moved++;
+        }
+        return moved;
+    }
+
+    clear() {
+        this.cells.clear();
+        this.cellOf.fill(NaN);
+    }
+
+    query(x, y, z, r, cb) {
+        this.queryBox(x - r, y - r, z - r, x + r, y + r, z + r, cb);
+    }
+
+    queryBox(minX, minY, minZ, maxX, maxY, maxZ, cb) {
+        const inv = this.inv;
+        const x0 = Math.floor(minX * inv), x1 = Math.floor(maxX * inv);
+        const y0 = Math.floor(minY * inv), y1 = Math.floor(maxY * inv);
+        const z0 = Math.floor(minZ * inv), z1 = Math.floor(maxZ * inv);
+        this.cellsVisited += (x1 - x0 + 1) * (y1 - y0 + 1) * (z1 - z0 + 1);
+
+        for (let ix = x0; ix <= x1; ix++) {
+            for (let iy = y0; iy <= y1; iy++) {
+                for (let iz = z0; iz <= z1; iz++) {
+                    const list = this.cells.get(this._key(ix, iy, iz));
+                    if (!list) continue;
+                    for (let k = 0; k < list.length; k++) cb(list[k]);
+                }
+            }
+        }
+    }
+
+    nearest(x, y, z, maxR, positions, bounds = null) {
+        let best = -1;
+        let bestD2 = maxR * maxR;
+
+        // With the points' box known, shells never scan past it and stop once they cover all of it
+        // (a far query in a tiny body's local units would otherwise visit millions of empty cells)
+        let reach = maxR;
+        let minX = -Infinity, minY = -Infinity, minZ = -Infinity;
+        let maxX = Infinity, maxY = Infinity, maxZ = Infinity;
+        if (bounds) {
+            ({ x: minX, y: minY, z: minZ } = bounds.min);
+            ({ x: maxX, y: maxY, z: maxZ } = bounds.max);
+            reach = Math.min(maxR, Math.hypot(
+                Math.max(x - minX, maxX - x),
+                Math.max(y - minY, maxY - y),
+                Math.max(z - minZ, maxZ - z)
+            ));
+        }
+
+        // Grow the search shell until something is found (or maxR is reached)
+        for (let r = this.cellSize; ; r = Math.min(reach, r * 2)) {
+            const x0 = Math.max(x - r, minX), x1 = Math.min(x + r, maxX);
+            const y0 = Math.max(y - r, minY), y1 = Math.min(y + r, maxY);
+            const z0 = Math.max(z - r, minZ), z1 = Math.min(z + r, maxZ);
+            if (x0 <= x1 && y0 <= y1 && z0 <= z1) this.queryBox(x0, y0, z0, x1, y1, z1, (i) => {
+                const idx = i * 3;
+                const dx = positions[idx] - x, dy = positions[idx + 1] - y, dz = positions[idx + 2] - z;
+                const d2 = dx * dx + dy * dy + dz * dz;
+                if (d2 < bestD2) {
+                    bestD2 = d2;
+                    best = i;
+                }
+            });
+            // A hit closer than r cannot be beaten by points outside the shell
+            if ((best >= 0 && bestD2 <= r * r) || r >= reach) break;
+        }
+
+        return { index: best, distance: best >= 0 ? Math.sqrt(bestD2) : Infinity };
+    }
+}
@@ -0,0 +1,23 @@
+/**
+ * Node loader for the headless harness
+ *
+ * Browser modules import three.js from the CDN URL; Node cannot load it. This hook maps that URL
+ * to a local `three@0.128` (installed next to the working directory) so Headless.js runs as is:
+ *
+ *   npm i --no-save three@0.128
+ *   node --import ./src/physics/three-node.mjs -e "import('./src/physics/Headless.js').then(m => process.exit(m.runChecks().ok ? 0 : 1))"
+ */
+import { register } from 'node:module';
+import { isMainThread } from 'node:worker_threads';
+import { pathToFileURL } from 'node:url';
+
+const THREE_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+
+export async function resolve(specifier, context, next) {
+    if (specifier !== THREE_CDN) return next(specifier, context);
+    const parentURL = pathToFileURL(process.cwd() + '/').href;
+    return next('three/build/three.module.js', { ...context, parentURL });
+}
+
+// `--import` loads this file on the main thread: register it there as the hooks module
+if (isMainThread) register(import.meta.url);
@@ -0,0 +1,38 @@
+/**
+ * Fixed-timestep accumulator.
+ * Real frame time is accumulated and consumed in constant `stepSeconds` chunks,
+ * so simulation speed does not depend on display refresh rate or dropped frames.
+ * `alpha` (0..1) is the leftover fraction for render interpolation.
+ */
+export class FixedTimestep {
+    constructor(stepSeconds = 1 / 60, maxSteps = 4) {
+        this.stepSeconds = stepSeconds;
+        this.maxSteps = maxSteps;
+        this.maxFrameSeconds = 0.25; // Tab switch / debugger pause guard
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+
+    advance(frameSeconds, step) {
+        const frame = Math.min(this.maxFrameSeconds, Math.max(0, frameSeconds || 0));
+        this.accumulator += frame;
+
+        let steps = 0;
+        while (this.accumulator >= this.stepSeconds && steps < this.maxSteps) {
+            step(this.stepSeconds);
+            this.accumulator -= this.stepSeconds;
+            steps++;
+        }
+
+        // Too far behind: drop the backlog instead of spiralling
+        if (this.accumulator >= this.stepSeconds) this.accumulator %= this.stepSeconds;
+
+        this.alpha = this.accumulator / this.stepSeconds;
+        return steps;
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+}
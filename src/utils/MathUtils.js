@@ -1,4 +1,5 @@
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { HAND_DEPTH } from '../config.js';
 
 export function clamp(x, min, max) {
     return Math.max(min, Math.min(max, x));
@@ -34,15 +35,118 @@ export function getScreenPos(normX, normY, video) {
     return { x, y };
 }
 
-export function get3DFromScreen(sx, sy, camera) {
+export function get3DFromScreen(sx, sy, camera, z = 0) {
     // selfieMode: true already mirrors landmarks, no need to mirror here
     const ndcX = (sx / window.innerWidth) * 2 - 1;
     const ndcY = -(sy / window.innerHeight) * 2 + 1;
 
-    const dist = camera.position.z;
+    // Frustum size at the requested depth (z = 0 is the sphere plane)
+    const dist = camera.position.z - z;
     const vFOV = THREE.MathUtils.degToRad(camera.fov);
     const h = 2 * Math.tan(vFOV / 2) * dist;
     const w = h * camera.aspect;
 
-    return new THREE.Vector3(ndcX * (w / 2), ndcY * (h / 2), 0);
+    return new THREE.Vector3(ndcX * (w / 2), ndcY * (h / 2), z);
+}
+
+/**
+ * Scene depth of a hand's wrist from its apparent size (HAND_DEPTH).
+ * A palm (wrist -> middle knuckle) of refPalm screen heights sits on the sphere plane;
+ * apparent size ~ 1 / distance, so twice as big = halfway to the camera.
+ */
+export function getHandDepth(lm, video, camera) {
+    if (!HAND_DEPTH.enabled) return 0;
+    const a = getScreenPos(lm[0].x, lm[0].y, video);
+    const b = getScreenPos(lm[9].x, lm[9].y, video);
+    const palm = Math.hypot(b.x - a.x, b.y - a.y) / window.innerHeight;
+    if (palm < 1e-4) return 0;
+
+    const D = camera.position.z;
+    const z = D * (1 - HAND_DEPTH.refPalm / palm) * HAND_DEPTH.gain;
+    return clamp(z, -HAND_DEPTH.maxDepth, Math.min(HAND_DEPTH.maxDepth, D * 0.8));
+}
+
+/**
+ * All 21 landmarks in scene space: the wrist at `depth`, MediaPipe's relative z as relief
+ * (it is in x units of the video, negative = towards the camera). Each point stays under
+ * its landmark on screen, so the HUD skeleton and the 3D hand line up.
+ */
+export function getHandLandmarks3D(lm, video, camera, depth = 0) {
+    const screen = lm.map(p => getScreenPos(p.x, p.y, video));
+
+    // Video x unit -> world units at the wrist depth
+    const pxPerUnit = getScreenPos(1, 0, video).x - getScreenPos(0, 0, video).x;
+    const worldPerPx = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * (camera.position.z - depth) * camera.aspect / window.innerWidth;
+    const relief = HAND_DEPTH.enabled ? pxPerUnit * worldPerPx * HAND_DEPTH.landmarkGain : 0;
+
+    return screen.map((s, i) => get3DFromScreen(s.x, s.y, camera, depth - ((lm[i].z || 0) - (lm[0].z || 0)) * relief));
+}
+
+const PALM_POINTS = [0, 5, 9, 13, 17];
+
+// Fingertip landmarks, thumb -> pinky. Contact masks (SoftBody.contacts): bit f = FINGER_TIPS[f], bit CONTACT_PALM = palm
+export const FINGER_TIPS = [4, 8, 12, 16, 20];
+export const CONTACT_PALM = 5;
+const _across = new THREE.Vector3();
+const _up = new THREE.Vector3();
+const _basis = new THREE.Matrix4();
+
+/**
+ * Palm pose in scene space: { pos, normal, quaternion }.
+ * pos = center of the wrist + knuckles (lm3D); the orientation comes from MediaPipe world
+ * landmarks (metric, no perspective; image axes -> scene: y and z flipped) or from lm3D when
+ * missing (replays). Basis: y = wrist -> middle knuckle, z = normal out of the palm, x = y × z.
+ * handedness ('Left' / 'Right', selfie-mirrored like the landmarks) picks the palm side.
+ */
+export function getPalmPose(lm3D, world = null, handedness = 'Right') {
+    const pos = new THREE.Vector3();
+    for (const i of PALM_POINTS) pos.add(lm3D[i]);
+    pos.divideScalar(PALM_POINTS.length);
+
+    const p = (i) => world ? new THREE.Vector3(world[i].x, -world[i].y, -world[i].z) : lm3D[i];
+    _up.subVectors(p(9), p(0)).normalize();
+    _across.subVectors(p(5), p(17));
+    const normal = new THREE.Vector3().crossVectors(_up, _across).normalize();
+    if (handedness === 'Left') normal.negate();
+
+    // Re-orthogonalize: the knuckle line is not exactly perpendicular to the palm axis
+    _across.crossVectors(_up, normal).normalize();
+    _up.crossVectors(normal, _across);
+    const quaternion = new THREE.Quaternion().setFromRotationMatrix(_basis.makeBasis(_across, _up, normal));
+    return { pos, normal, quaternion };
+}
+
+/**
+ * Non-indexed geometry: every triangle owns its corners. Groups coincident corners
+ * (SoftBody volume / topology, SoulSurface normals).
+ * @param {Float32Array} positions - Flat xyz rest positions
+ * @returns {{ weld: Int32Array, groupCount: number }} weld[i] = group of vertex i
+ */
+export function weldVertices(positions) {
+    const count = positions.length / 3;
+    const keys = new Map();
+    const weld = new Int32Array(count);
+    for (let i = 0; i < count; i++) {
+        const idx = i * 3;
+        const key = `${Math.round(positions[idx] * 1e4)},${Math.round(positions[idx + 1] * 1e4)},${Math.round(positions[idx + 2] * 1e4)}`;
+        let g = keys.get(key);
+        if (g === undefined) {
+            g = keys.size;
+            keys.set(key, g);
+        }
+        weld[i] = g;
+    }
+    return { weld, groupCount: keys.size };
+}
+
+// Seeded PRNG (mulberry32) for reproducible runs; returns () => 0..1
+export function createRng(seed = 1) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
 }
@@ -0,0 +1,115 @@
+import { SMOOTHING, SMOOTHING_PRESETS } from '../config.js';
+
+const PRESET_KEYS = ['minCutoff', 'beta', 'dCutoff', 'predict'];
+
+/**
+ * One Euro filter (Casiez et al., CHI 2012) for one value.
+ * A low-pass whose cutoff grows with the (smoothed) speed: minCutoff removes jitter at rest,
+ * beta lets fast moves through with little lag. Parameters are read live from SMOOTHING.
+ */
+export class OneEuroFilter {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.x = null;   // Filtered value
+        this.dx = 0;     // Filtered speed of the input (units / s), drives the cutoff
+        this.v = 0;      // Smoothed speed of the filtered value itself, drives predict()
+        this.t = 0;
+    }
+
+    static alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    /**
+     * @param {number} value - Raw sample
+     * @param {number} t - Time in seconds
+     * @returns {number} Filtered value
+     */
+    filter(value, t) {
+        if (this.x === null) {
+            this.x = value;
+            this.t = t;
+            return value;
+        }
+        const dt = t - this.t;
+        if (dt <= 0) return this.x;
+        this.t = t;
+
+        const prev = this.x;
+        const aD = OneEuroFilter.alpha(SMOOTHING.dCutoff, dt);
+        const speed = (value - prev) / dt;
+        this.dx += (speed - this.dx) * aD;
+        const cutoff = SMOOTHING.minCutoff + SMOOTHING.beta * Math.abs(this.dx);
+        this.x += (value - prev) * OneEuroFilter.alpha(cutoff, dt);
+
+        // Raw - filtered also holds the filter lag; extrapolating that speed overshoots on stops
+        this.v += ((this.x - prev) / dt - this.v) * aD;
+        return this.x;
+    }
+
+    // Filtered value extrapolated `ahead` seconds along its own speed
+    predict(ahead) {
+        return this.x + this.v * ahead;
+    }
+}
+
+/**
+ * LandmarkFilter - One Euro on every coordinate of a landmark list (21 MediaPipe points, x/y/z),
+ * plus SMOOTHING.predict ms of linear prediction to hide tracking latency.
+ * One per hand ID (main.js), for the image landmarks and the world landmarks.
+ * filter() output feeds detection (pinch, fist, gestures, HUD); predict() only positions
+ * (physics, rendering), since extrapolated fingers would trigger pinches early.
+ */
+export class LandmarkFilter {
+    constructor() {
+        this.filters = [];
+        this.count = 0; // Points in the last filtered list
+    }
+
+    /**
+     * @param {Array<{x, y, z}>} lm - Raw landmarks
+     * @param {number} t - Time in seconds
+     * @returns {Array<{x, y, z}>} New filtered landmarks
+     */
+    filter(lm, t) {
+        const f = this.filters;
+        while (f.length < lm.length * 3) f.push(new OneEuroFilter());
+        this.count = lm.length;
+        return lm.map((p, i) => ({
+            x: f[i * 3].filter(p.x, t),
+            y: f[i * 3 + 1].filter(p.y, t),
+            z: f[i * 3 + 2].filter(p.z || 0, t)
+        }));
+    }
+
+    /**
+     * @returns {Array<{x, y, z}>} The last filtered landmarks extrapolated SMOOTHING.predict ms ahead
+     */
+    predict() {
+        const ahead = SMOOTHING.predict / 1000;
+        const f = this.filters;
+        const out = [];
+        for (let i = 0; i < this.count; i++) {
+            out.push({ x: f[i * 3].predict(ahead), y: f[i * 3 + 1].predict(ahead), z: f[i * 3 + 2].predict(ahead) });
+        }
+        return out;
+    }
+}
+
+/**
+ * Write a SMOOTHING_PRESETS entry into the live SMOOTHING values (Tuner, device pick in main.js).
+ * @param {string} name
+ * @returns {boolean} false for an unknown preset
+ */
+export function setSmoothingPreset(name) {
+    const preset = SMOOTHING_PRESETS[name];
+    if (!preset) return false;
+    SMOOTHING.preset = name;
+    for (const k of PRESET_KEYS) SMOOTHING[k] = preset[k];
+    console.log(`✋ Hand filter: ${preset.label}`);
+    return true;
+}
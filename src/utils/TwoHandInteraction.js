@@ -11,10 +11,14 @@ export class TwoHandInteraction {
             return null;
         }
 
-        const dx = hand1.pos.x - hand0.pos.x;
-        const dy = hand1.pos.y - hand0.pos.y;
-        const dist = Math.hypot(dx, dy);
-        const angle = Math.atan2(dy, dx);
+        // Palm centers when the 3D pose is known (steadier than fingertips), real 3D distance
+        const p0 = hand0.palm ? hand0.palm.pos : hand0.pos;
+        const p1 = hand1.palm ? hand1.palm.pos : hand1.pos;
+        const dx = p1.x - p0.x;
+        const dy = p1.y - p0.y;
+        const dz = (p1.z || 0) - (p0.z || 0);
+        const dist = Math.hypot(dx, dy, dz);
+        const angle = Math.atan2(dy, dx); // Roll in the screen plane (mesh.rotation.z)
 
         const result = { scale: 1, rotate: 0 };
 
@@ -6,6 +6,7 @@ export class AccretionDisk {
         this.cfg = config;
         this.center = new THREE.Vector3();
         this.tmpV = new THREE.Vector3();
+        this.scale = 1; // Radius multiplier (hole mass / horizon)
 
         // Quality tiers
         this.baseCount = config.particles || 520;
@@ -94,6 +95,10 @@ export class AccretionDisk {
         this.center.copy(pos);
     }
 
+    setScale(s) {
+        this.scale = s;
+    }
+
     setQuality(tier) {
         let newCount = this.baseCount;
         if (tier === 1) newCount = Math.floor(this.baseCount * 0.7); // ~360
@@ -148,8 +153,8 @@ export class AccretionDisk {
             const wobble = Math.sin(time * 0.7 + theta * 2.0) * turb * dt * 60; // scale by FPS
             const z = this.state.zBase[i] + wobble;
 
-            const px = Math.cos(theta) * r;
-            const py = Math.sin(theta) * r;
+            const px = Math.cos(theta) * r * this.scale;
+            const py = Math.sin(theta) * r * this.scale;
 
             // Transform to World Space (assuming Z is depth)
             // BH plane is typically XY, but let's match scene orientation
@@ -0,0 +1,181 @@
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+
+/**
+ * AccretionDiskGPU - той самий диск, що й AccretionDisk, але рух рахує вершинний шейдер
+ *
+ * Each particle only carries seeds; orbit, spiral-in and heat are closed-form in `time`:
+ *   CPU step  dr/dt = -spiralIn·20/(r+1),  dθ/dt = orbitSpeed·s·30/(r+1)
+ *   solved    (r+1)² = (r0+1)² - 40·spiralIn·t,  θ = θ0 + 1.5·orbitSpeed·s/spiralIn · (r0 - r)
+ * A particle that reaches innerR wraps to a new lap (fresh angle) at the outer edge.
+ * Same surface as AccretionDisk (setCenter / setScale / setQuality / update / dispose / points).
+ */
+export class AccretionDiskGPU {
+    constructor(scene, config) {
+        this.scene = scene;
+        this.cfg = config;
+        this.center = new THREE.Vector3();
+        this.scale = 1; // Radius multiplier (hole mass / horizon)
+        this.time = 0;  // Local clock (Date.now() seconds are too big for GLSL floats)
+
+        // Quality tiers only shrink the draw range, buffers stay
+        this.baseCount = config.gpuParticles || 30000;
+        this.count = this.baseCount;
+
+        this.initParticles();
+    }
+
+    initParticles() {
+        const count = this.baseCount;
+        this.geometry = new THREE.BufferGeometry();
+
+        // position is unused by the shader but defines the draw count
+        const positions = new Float32Array(count * 3);
+        const seeds = new Float32Array(count * 4);  // lap phase, start angle, z offset, speed
+        const starts = new Float32Array(count);     // start radius (0..1 across the outer rim)
+        for (let i = 0; i < count; i++) {
+            seeds[i * 4] = Math.random();
+            seeds[i * 4 + 1] = Math.random() * Math.PI * 2;
+            seeds[i * 4 + 2] = Math.random() - 0.5;
+            seeds[i * 4 + 3] = 0.8 + Math.random() * 0.4; // 0.8x .. 1.2x speed
+            starts[i] = 0.9 + 0.1 * Math.random();        // Bias towards outer edge
+        }
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.geometry.setAttribute('seed', new THREE.BufferAttribute(seeds, 4));
+        this.geometry.setAttribute('start', new THREE.BufferAttribute(starts, 1));
+
+        const cfg = this.cfg;
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                center: { value: this.center },
+                scale: { value: 1 },
+                innerR: { value: cfg.innerR },
+                outerR: { value: cfg.outerR },
+                thickness: { value: cfg.thickness },
+                spiralIn: { value: cfg.spiralIn },
+                orbitSpeed: { value: cfg.orbitSpeed },
+                turbulence: { value: cfg.turbulence },
+                heatGain: { value: cfg.heatGain },
+                size: { value: cfg.gpuSize || 0.4 },
+                pointScale: { value: 400 },
+                opacity: { value: 0.45 }
+            },
+            vertexShader: `
+                attribute vec4 seed;
+                attribute float start;
+                uniform float time;
+                uniform vec3 center;
+                uniform float scale;
+                uniform float innerR;
+                uniform float outerR;
+                uniform float thickness;
+                uniform float spiralIn;
+                uniform float orbitSpeed;
+                uniform float turbulence;
+                uniform float heatGain;
+                uniform float size;
+                uniform float pointScale;
+                varying vec3 vColor;
+
+                void main() {
+                    float k = max(spiralIn, 0.001);
+                    float r0 = innerR + (outerR - innerR) * start;
+                    float u0 = r0 + 1.0;
+                    float uIn = innerR + 1.0;
+
+                    // Lap time from the rim to innerR; the seed spreads particles over the lap
+                    float lap = (u0 * u0 - uIn * uIn) / (40.0 * k);
+                    float cycle = seed.x + time / lap;
+                    float tLap = fract(cycle) * lap;
+                    float r = sqrt(max(u0 * u0 - 40.0 * k * tLap, uIn * uIn)) - 1.0;
+
+                    // New lap, new angle (golden-angle step)
+                    float theta = seed.y + floor(cycle) * 2.39996 + 1.5 * orbitSpeed * seed.w / k * (r0 - r);
+
+                    float wobble = sin(time * 0.7 + theta * 2.0) * turbulence;
+                    vec3 world = center + vec3(cos(theta) * r * scale, sin(theta) * r * scale, seed.z * thickness + wobble);
+
+                    // Heat palette (AccretionDisk.update): violet rim -> cyan -> white-hot inner edge
+                    float heat = pow(clamp(1.0 - (r - innerR) / (outerR - innerR), 0.0, 1.0), heatGain);
+                    vec3 col;
+                    if (heat < 0.3) {
+                        float t = heat / 0.3;
+                        col = vec3(0.2 + t * 0.1, 0.1 + t * 0.5, 0.9 - t * 0.1);
+                    } else if (heat < 0.6) {
+                        float t = (heat - 0.3) / 0.3;
+                        col = vec3(0.3 + t * 0.5, 0.6 + t * 0.3, 0.8 - t * 0.2);
+                    } else {
+                        float t = (heat - 0.6) / 0.4;
+                        col = vec3(0.8 + t * 0.2, 0.9 + t * 0.1, 0.6 + t * 0.4);
+                    }
+                    float flicker = 0.95 + 0.05 * sin(time * 15.0 + theta * 3.0);
+                    vColor = min(col * (0.5 + heat * 1.8) * flicker, vec3(1.0));
+
+                    vec4 mvPos = viewMatrix * vec4(world, 1.0);
+                    gl_PointSize = size * pointScale / max(-mvPos.z, 0.001);
+                    gl_Position = projectionMatrix * mvPos;
+                }
+            `,
+            fragmentShader: `
+                uniform float opacity;
+                varying vec3 vColor;
+
+                void main() {
+                    // Soft round sprite (same falloff as the CPU disk texture)
+                    float d = length(gl_PointCoord - 0.5) * 2.0;
+                    float a = d < 0.4 ? mix(1.0, 0.4, d / 0.4) : 0.4 * (1.0 - (d - 0.4) / 0.6);
+                    if (a <= 0.0) discard;
+                    gl_FragColor = vec4(vColor, a * opacity);
+                }
+            `,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false; // Positions only exist in the shader
+        this.scene.add(this.points);
+    }
+
+    setCenter(pos) {
+        this.center.copy(pos);
+    }
+
+    setScale(s) {
+        this.scale = s;
+    }
+
+    setQuality(tier) {
+        this.count = this.baseCount;
+        if (tier === 1) this.count = Math.floor(this.baseCount * 0.7);
+        if (tier === 2) this.count = Math.floor(this.baseCount * 0.4);
+        this.geometry.setDrawRange(0, this.count);
+    }
+
+    update(dt, time, pullFactor = 1.0) {
+        this.time += dt;
+        const cfg = this.cfg;
+        const u = this.material.uniforms;
+        u.time.value = this.time;
+        u.scale.value = this.scale;
+        u.innerR.value = cfg.innerR;
+        u.outerR.value = cfg.outerR;
+        u.thickness.value = cfg.thickness;
+        u.spiralIn.value = cfg.spiralIn;
+        u.orbitSpeed.value = cfg.orbitSpeed;
+        u.turbulence.value = cfg.turbulence;
+        u.heatGain.value = cfg.heatGain;
+        // Flare up when active; thousands of overlapping sprites share the CPU disk's brightness
+        u.opacity.value = (0.18 + 0.35 * Math.min(1, pullFactor)) * Math.min(1, 4000 / this.count);
+        if (typeof window !== 'undefined') u.pointScale.value = window.innerHeight * 0.5 * Math.min(window.devicePixelRatio || 1, 2);
+    }
+
+    dispose() {
+        if (this.points) {
+            this.scene.remove(this.points);
+            this.geometry.dispose();
+            this.material.dispose();
+        }
+    }
+}
@@ -9,6 +9,8 @@ export class EventHorizon {
         this.scene = scene;
         this.cfg = config;
         this.center = new THREE.Vector3();
+        this.flashLevel = 0; // Merger flash, decays to 0
+        this.scale = 1;      // Horizon growth (hole mass)
 
         // Horizon Ring
         const horizonR = config.horizonRadius || 6.5;
@@ -30,6 +32,7 @@ export class EventHorizon {
                 outerR: { value: this.outerR },
                 time: { value: 0 },
                 pull: { value: 0 },
+                flash: { value: 0 },
                 color1: { value: new THREE.Color(0xff3300) }, // Inner: hot orange
                 color2: { value: new THREE.Color(0x000000) }  // Outer: transparent
             },
@@ -48,6 +51,7 @@ export class EventHorizon {
                 uniform float outerR;
                 uniform float time;
                 uniform float pull;
+                uniform float flash;
                 uniform vec3 color1;
                 uniform vec3 color2;
                 varying float vDist;
@@ -57,7 +61,7 @@ export class EventHorizon {
                     t = clamp(t, 0.0, 1.0);
                     
                     // Gradient falloff (inverse square for realism)
-                    float alpha = pow(1.0 - t, 2.5) * pull;
+                    float alpha = pow(1.0 - t, 2.5) * max(pull, flash);
                     
                     // Pulsating effect
                     float pulse = 0.8 + 0.2 * sin(time * 3.0 + vDist * 0.5);
@@ -65,6 +69,7 @@ export class EventHorizon {
                     
                     // Color interpolation (hot core to cold edge)
                     vec3 col = mix(color1, color2, t * 0.7);
+                    col = mix(col, vec3(1.0), flash);
                     
                     gl_FragColor = vec4(col, alpha * 0.6);
                 }
@@ -133,9 +138,21 @@ export class EventHorizon {
         this.photonSphere.position.copy(pos);
     }
 
+    setScale(s) {
+        this.scale = s;
+        this.photonSphere.scale.setScalar(s);
+    }
+
+    // White burst when two holes merge
+    flash(strength = 1) {
+        this.flashLevel = Math.max(this.flashLevel, strength);
+    }
+
     update(dt, time, pull) {
+        this.flashLevel = Math.max(0, this.flashLevel - dt * 1.2);
+
         // Update visibility
-        const visible = pull > 0.1;
+        const visible = pull > 0.1 || this.flashLevel > 0;
         this.ring.visible = visible;
         this.photonSphere.visible = visible;
 
@@ -144,6 +161,8 @@ export class EventHorizon {
         // Update ring shader uniforms
         this.ringMat.uniforms.time.value = time;
         this.ringMat.uniforms.pull.value = pull;
+        this.ringMat.uniforms.flash.value = this.flashLevel;
+        this.ring.scale.setScalar(this.scale * (1 + this.flashLevel * 1.5));
 
         // Update photon sphere particles (orbiting rapidly)
         const positions = this.photonSphere.geometry.attributes.position.array;
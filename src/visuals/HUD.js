@@ -1,6 +1,6 @@
 import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
-import { STATE, QUALITY } from '../config.js';
-import { getScreenPos } from '../utils/MathUtils.js';
+import { STATE, QUALITY, HAND_DEPTH } from '../config.js';
+import { getScreenPos, FINGER_TIPS, CONTACT_PALM } from '../utils/MathUtils.js';
 
 export class HUD {
     constructor(canvas, el) {
@@ -11,23 +11,60 @@ export class HUD {
         this.smoothedVel = {};
         this.historyLength = 12;
         this.hudFrame = 0;
+        this.singularities = null; // PhysicsWorld.singularities (set in main.js)
+        this.lensing = null;       // LensingPass (set in main.js); its WebGL warp replaces the canvas ring
+        this.bodies = null;        // PhysicsWorld.bodies (set in main.js); hide skeleton parts behind them
+        this.contacts = null;      // PhysicsWorld.contacts (set in main.js); fingertips touching a body
+        this.vRay = new THREE.Vector3();
+        this.vOc = new THREE.Vector3();
+        this.vTip = new THREE.Vector3();
+    }
+
+    // Is the 3D point behind a soft body? Camera ray vs the body's bounding sphere (PhysicsWorld._measureBodies)
+    occluded(point, camera) {
+        if (!this.bodies) return false;
+        const dir = this.vRay.subVectors(point, camera.position);
+        const dist = dir.length();
+        if (dist < 1e-6) return false;
+        dir.divideScalar(dist);
+        for (const b of this.bodies) {
+            if (!b.mesh.visible) continue;
+            const oc = this.vOc.subVectors(b.center, camera.position);
+            const tca = oc.dot(dir);
+            const d2 = oc.lengthSq() - tca * tca;
+            const r2 = b.worldRadius * b.worldRadius;
+            if (d2 > r2) continue;
+            if (tca - Math.sqrt(r2 - d2) < dist) return true; // Ray enters the body before reaching the point
+        }
+        return false;
+    }
+
+    // Screen positions of the black holes (physics owns the positions, HUD only projects them)
+    holeScreens(camera) {
+        const holes = this.singularities || [{ pos: STATE.blackHolePos, active: true }];
+        return holes.filter(h => h.active !== false).map(h => {
+            const p = h.pos.clone().project(camera);
+            return { x: (p.x * 0.5 + 0.5) * window.innerWidth, y: (-(p.y * 0.5) + 0.5) * window.innerHeight, pos: h.pos };
+        });
     }
 
     clear() {
         this.ctx.clearRect(0, 0, window.innerWidth, window.innerHeight);
     }
 
+    // Per-hand history of a hand ID that will not come back (HandIdentity.onLeave)
+    forgetHand(id) {
+        delete this.handHistory[id];
+        delete this.smoothedVel[id];
+    }
+
     drawGlobal(camera) {
         if (!camera) return;
-        const ctx = this.ctx;
-        const ndc = new THREE.Vector3(0.7, 0.7, 0);
-        const bhPos = ndc.unproject(camera);
-        bhPos.project(camera);
-
-        let tunnelX = (bhPos.x * 0.5 + 0.5) * window.innerWidth;
-        const tunnelY = (-(bhPos.y * 0.5) + 0.5) * window.innerHeight;
-        tunnelX = window.innerWidth - tunnelX;
+        for (const s of this.holeScreens(camera)) this.drawIdleTunnel(s.x, s.y);
+    }
 
+    drawIdleTunnel(tunnelX, tunnelY) {
+        const ctx = this.ctx;
         const baseSize = 40;
         const baseGrad = ctx.createRadialGradient(tunnelX, tunnelY, 0, tunnelX, tunnelY, baseSize);
         baseGrad.addColorStop(0, `rgba(0, 0, 0, 0.8)`);
@@ -73,15 +110,48 @@ export class HUD {
         ctx.globalAlpha = 0.7;
         ctx.lineWidth = 2;
         const cons = [[0, 1], [1, 2], [2, 3], [3, 4], [0, 5], [5, 6], [6, 7], [7, 8], [0, 9], [9, 10], [10, 11], [11, 12], [0, 13], [13, 14], [14, 15], [15, 16], [0, 17], [17, 18], [18, 19], [19, 20]];
+        const depth = HAND_DEPTH.occlusion && hand.lm3D && camera ? hand.lm3D : null;
         ctx.beginPath();
         for (const c of cons) {
-            ctx.moveTo(points[c[0]].x, points[c[0]].y);
-            ctx.lineTo(points[c[1]].x, points[c[1]].y);
+            const a = points[c[0]], b = points[c[1]];
+            if (!depth) {
+                ctx.moveTo(a.x, a.y);
+                ctx.lineTo(b.x, b.y);
+                continue;
+            }
+            // Split the bone and skip pieces the sphere covers
+            const steps = 4;
+            for (let s = 0; s < steps; s++) {
+                const k = (s + 0.5) / steps;
+                if (this.occluded(this.vTip.lerpVectors(depth[c[0]], depth[c[1]], k), camera)) continue;
+                ctx.moveTo(a.x + (b.x - a.x) * s / steps, a.y + (b.y - a.y) * s / steps);
+                ctx.lineTo(a.x + (b.x - a.x) * (s + 1) / steps, a.y + (b.y - a.y) * (s + 1) / steps);
+            }
         }
         ctx.stroke();
         ctx.globalAlpha = 1;
         ctx.lineWidth = 1.5;
 
+        // Contact points: fingertips / palm pressing or holding the skin (last physics step)
+        const contact = this.contacts ? this.contacts[id] || 0 : 0;
+        if (contact) {
+            const pulse = 1 + Math.sin(t * 10) * 0.2;
+            ctx.strokeStyle = colAccent;
+            ctx.fillStyle = colAccent;
+            for (let f = 0; f <= CONTACT_PALM; f++) {
+                if (!(contact & (1 << f))) continue;
+                const palm = f === CONTACT_PALM;
+                const p = palm ? { x: (points[0].x + points[9].x) * 0.5, y: (points[0].y + points[9].y) * 0.5 } : points[FINGER_TIPS[f]];
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, (palm ? 14 : 7) * pulse, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 2, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.strokeStyle = col;
+        }
+
         // Biometrics & Math
         const p0 = points[0], p8 = points[8];
         const fingerBases = [1, 5, 9, 13, 17];
@@ -148,7 +218,7 @@ export class HUD {
             }
 
             if (tunnelFactor > 0.01) {
-                this.drawActiveSingularity(tunnelFactor, sphere, camera, hue, ctx);
+                for (const s of this.holeScreens(camera)) this.drawActiveSingularity(tunnelFactor, sphere, camera, hue, ctx, s);
             }
         }
 
@@ -163,19 +233,13 @@ export class HUD {
         ctx.globalAlpha = 1;
     }
 
-    drawActiveSingularity(tunnelFactor, sphere, camera, hue, ctx) {
+    drawActiveSingularity(tunnelFactor, sphere, camera, hue, ctx, hole) {
         // Use actual physics position (World Space) projected to Screen
-        const bhPos = STATE.blackHolePos ? STATE.blackHolePos.clone() : new THREE.Vector3();
+        const { x: tunnelX, y: tunnelY, pos: bhPos } = hole;
 
-        // --- GRAVITATIONAL LENSING (Cheap 2D Effect) ---
+        // --- GRAVITATIONAL LENSING (Cheap 2D Effect, lowest tier only) ---
         // Draw this BEFORE the tunnel so it sits behind/around
-        this.drawLensingRing(bhPos, camera, ctx);
-
-        // Project center for tunnel
-        bhPos.project(camera); // World -> NDC
-        const tunnelX = (bhPos.x * 0.5 + 0.5) * window.innerWidth;
-        const tunnelY = (-(bhPos.y * 0.5) + 0.5) * window.innerHeight;
-        // removed mirror: tunnelX = window.innerWidth - tunnelX;
+        if (!this.lensing || !this.lensing.active) this.drawLensingRing(bhPos, camera, ctx);
 
         ctx.save();
 
@@ -283,8 +347,7 @@ export class HUD {
         const offsetPos = bhWorldPos.clone().add(new THREE.Vector3(radiusWorld, 0, 0));
         offsetPos.project(camera);
 
-        let ox = (offsetPos.x * 0.5 + 0.5) * window.innerWidth;
-        ox = window.innerWidth - ox;
+        const ox = (offsetPos.x * 0.5 + 0.5) * window.innerWidth;
 
         const dx = cx - ox;
         const rScreen = Math.abs(dx);
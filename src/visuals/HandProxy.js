@@ -0,0 +1,85 @@
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { HAND_DEPTH } from '../config.js';
+
+// Finger bones (HUD skeleton) + palm fill so the hand reads as a solid shape
+const BONES = [
+    [0, 1], [1, 2], [2, 3], [3, 4], [0, 5], [5, 6], [6, 7], [7, 8], [0, 9], [9, 10], [10, 11], [11, 12],
+    [0, 13], [13, 14], [14, 15], [15, 16], [0, 17], [17, 18], [18, 19], [19, 20],
+    [5, 9], [9, 13], [13, 17], [1, 5], [0, 5], [2, 5]
+];
+const JOINTS = 21;
+
+/**
+ * HandProxy - невидима (depth-only) рука у WebGL-сцені
+ *
+ * Capsules along the 3D landmarks (handData.lm3D) write depth but no color. Drawn in the
+ * opaque pass, they cut the transparent sphere, particles and disk wherever the hand is in
+ * front, so the real hand (AR video) or the HUD skeleton shows through there.
+ */
+export class HandProxy {
+    constructor(scene, maxHands = 2) {
+        this.scene = scene;
+        this.maxHands = maxHands;
+        this.enabled = HAND_DEPTH.occlusion;
+
+        this.material = new THREE.MeshBasicMaterial({ colorWrite: false });
+        this.bones = new THREE.InstancedMesh(new THREE.CylinderGeometry(1, 1, 1, 8, 1, true), this.material, maxHands * BONES.length);
+        this.joints = new THREE.InstancedMesh(new THREE.SphereGeometry(1, 8, 6), this.material, maxHands * JOINTS);
+        for (const m of [this.bones, this.joints]) {
+            m.renderOrder = -1;
+            m.frustumCulled = false;
+            m.count = 0;
+            m.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            scene.add(m);
+        }
+
+        this.mat = new THREE.Matrix4();
+        this.vDir = new THREE.Vector3();
+        this.vMid = new THREE.Vector3();
+        this.vScale = new THREE.Vector3();
+        this.quat = new THREE.Quaternion();
+        this.up = new THREE.Vector3(0, 1, 0);
+    }
+
+    /**
+     * @param {Object} hands - STATE.hands (entries with lm3D)
+     */
+    update(hands) {
+        let nb = 0, nj = 0, count = 0;
+        if (this.enabled && HAND_DEPTH.occlusion) {
+            for (const k in hands) {
+                const pts = hands[k].lm3D;
+                if (!pts || pts.length < JOINTS || count >= this.maxHands) continue;
+                count++;
+
+                const r = pts[0].distanceTo(pts[9]) * HAND_DEPTH.proxyRadius;
+                for (const [a, b] of BONES) {
+                    this.vDir.subVectors(pts[b], pts[a]);
+                    const len = this.vDir.length();
+                    if (len < 1e-5) continue;
+                    this.vMid.addVectors(pts[a], pts[b]).multiplyScalar(0.5);
+                    this.quat.setFromUnitVectors(this.up, this.vDir.divideScalar(len));
+                    this.mat.compose(this.vMid, this.quat, this.vScale.set(r, len, r));
+                    this.bones.setMatrixAt(nb++, this.mat);
+                }
+                this.quat.identity();
+                for (let i = 0; i < JOINTS; i++) {
+                    this.mat.compose(pts[i], this.quat, this.vScale.setScalar(r));
+                    this.joints.setMatrixAt(nj++, this.mat);
+                }
+            }
+        }
+        this.bones.count = nb;
+        this.joints.count = nj;
+        this.bones.instanceMatrix.needsUpdate = true;
+        this.joints.instanceMatrix.needsUpdate = true;
+    }
+
+    dispose() {
+        for (const m of [this.bones, this.joints]) {
+            this.scene.remove(m);
+            m.geometry.dispose();
+        }
+        this.material.dispose();
+    }
+}
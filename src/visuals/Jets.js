@@ -5,6 +5,7 @@ export class Jets {
         this.scene = scene;
         this.cfg = config;
         this.center = new THREE.Vector3();
+        this.scale = 1; // Length multiplier (hole mass / horizon)
 
         // Quality
         this.baseCount = config.particles || 120;
@@ -91,6 +92,10 @@ export class Jets {
         this.center.copy(pos);
     }
 
+    setScale(s) {
+        this.scale = s;
+    }
+
     setQuality(tier) {
         let newCount = this.baseCount;
         if (tier === 1) newCount = Math.floor(this.baseCount * 0.7); // ~80
@@ -109,6 +114,7 @@ export class Jets {
         const count = this.count;
         const cx = this.center.x, cy = this.center.y, cz = this.center.z;
         const length = cfg.length;
+        const scale = this.scale ?? 1; // Hole mass / horizon
 
         // Pulse effect synchronized with absorption intensity
         const basePulse = 0.6 + 0.4 * Math.sin(time * (cfg.pulse || 1.0));
@@ -135,10 +141,8 @@ export class Jets {
             // Spread out slightly as they get further?
             const spread = 1.0 + (dist / length) * 2.0;
 
-            positions[i * 3] = cx + ox * spread;
-            positions[i * 3 + 1] = cy + oy * spread;
-            positions[i * 3] = cx + ox * spread;
-            positions[i * 3 + 1] = cy + oy * spread;
+            positions[i * 3] = cx + ox * spread * scale;
+            positions[i * 3 + 1] = cy + oy * spread * scale;
 
             // Z-axis jets
             // FIX: If Black Hole is active, force suction/ejection into the screen (negative Z)
@@ -147,7 +151,7 @@ export class Jets {
 
             // If suction is strong, maybe pull them IN towards center? 
             // For now, just ensure they go AWAY from camera (-Z)
-            positions[i * 3 + 2] = cz + (dist * effectiveDir);
+            positions[i * 3 + 2] = cz + (dist * effectiveDir * scale);
 
             // Fade out at end
             const life = 1.0 - (dist / length);
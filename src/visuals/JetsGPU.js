@@ -0,0 +1,152 @@
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+
+/**
+ * JetsGPU - джети Jets, розраховані у вершинному шейдері
+ *
+ * Particles fly at constant speed, so the distance along the axis is just
+ * fract(seed + time·speed/length)·length; every new flight re-rolls the xy offset
+ * and the direction from a hash of (seed, flight number).
+ * Same surface as Jets (setCenter / setScale / setQuality / update / dispose / points).
+ */
+export class JetsGPU {
+    constructor(scene, config) {
+        this.scene = scene;
+        this.cfg = config;
+        this.center = new THREE.Vector3();
+        this.scale = 1; // Length multiplier (hole mass / horizon)
+        this.time = 0;  // Local clock (small floats for GLSL)
+
+        this.baseCount = config.gpuParticles || 6000;
+        this.count = this.baseCount;
+
+        this.initParticles();
+    }
+
+    initParticles() {
+        const count = this.baseCount;
+        this.geometry = new THREE.BufferGeometry();
+
+        const positions = new Float32Array(count * 3); // Draw count only
+        const seeds = new Float32Array(count * 2);     // flight phase, speed variation
+        for (let i = 0; i < count; i++) {
+            seeds[i * 2] = Math.random();
+            seeds[i * 2 + 1] = 0.8 + Math.random() * 0.4;
+        }
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.geometry.setAttribute('seed', new THREE.BufferAttribute(seeds, 2));
+
+        const cfg = this.cfg;
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                center: { value: this.center },
+                scale: { value: 1 },
+                jetLength: { value: cfg.length },
+                speed: { value: cfg.speed },
+                jitter: { value: cfg.jitter || 0.5 },
+                pulse: { value: 1 },
+                intoScreen: { value: 0 },
+                size: { value: cfg.gpuSize || 0.35 },
+                pointScale: { value: 400 },
+                density: { value: 1 }
+            },
+            vertexShader: `
+                attribute vec2 seed;
+                uniform float time;
+                uniform vec3 center;
+                uniform float scale;
+                uniform float jetLength;
+                uniform float speed;
+                uniform float jitter;
+                uniform float pulse;
+                uniform float intoScreen;
+                uniform float size;
+                uniform float pointScale;
+                varying vec3 vColor;
+
+                float hash(float n) { return fract(sin(n) * 43758.5453); }
+
+                void main() {
+                    float flight = seed.x + time * speed * seed.y / jetLength;
+                    float n = floor(flight) + seed.x * 113.0;
+                    float dist = fract(flight) * jetLength;
+
+                    vec2 offset = (vec2(hash(n), hash(n + 17.0)) - 0.5) * jitter;
+                    float dir = hash(n + 31.0) > 0.5 ? 1.0 : -1.0;
+                    // Active hole: everything goes into the screen (Jets.update)
+                    if (intoScreen > 0.5) dir = -1.0;
+
+                    float life = 1.0 - dist / jetLength;
+                    float spread = 1.0 + (1.0 - life) * 2.0;
+                    vec3 world = center + vec3(offset * spread * scale, dist * dir * scale);
+
+                    // Cyan -> white core, faded to black (additive) at the end
+                    vColor = vec3(0.6 + 0.4 * life, 0.9 + 0.1 * life, 1.0) * life * pulse;
+
+                    vec4 mvPos = viewMatrix * vec4(world, 1.0);
+                    gl_PointSize = size * pointScale / max(-mvPos.z, 0.001);
+                    gl_Position = projectionMatrix * mvPos;
+                }
+            `,
+            fragmentShader: `
+                uniform float density;
+                varying vec3 vColor;
+
+                void main() {
+                    float a = 1.0 - length(gl_PointCoord - 0.5) * 2.0;
+                    if (a <= 0.0) discard;
+                    gl_FragColor = vec4(vColor, a * 0.8 * density);
+                }
+            `,
+            transparent: true,
+            depthWrite: false,
+            blending: THREE.AdditiveBlending
+        });
+
+        this.points = new THREE.Points(this.geometry, this.material);
+        this.points.frustumCulled = false;
+        this.scene.add(this.points);
+    }
+
+    setCenter(pos) {
+        this.center.copy(pos);
+    }
+
+    setScale(s) {
+        this.scale = s;
+    }
+
+    setQuality(tier) {
+        this.count = this.baseCount;
+        if (tier === 1) this.count = Math.floor(this.baseCount * 0.7);
+        if (tier === 2) this.count = Math.floor(this.baseCount * 0.4);
+        this.geometry.setDrawRange(0, this.count);
+    }
+
+    update(dt, time, pull = 1.0, stressEMA = 0) {
+        this.time += dt;
+        const cfg = this.cfg;
+        const u = this.material.uniforms;
+
+        // Pulse effect synchronized with absorption intensity (as in Jets.update)
+        const basePulse = 0.6 + 0.4 * Math.sin(time * (cfg.pulse || 1.0));
+        u.pulse.value = basePulse * (1.0 + stressEMA * 0.3) * (0.8 + pull * 0.4);
+
+        u.time.value = this.time;
+        u.scale.value = this.scale;
+        u.jetLength.value = cfg.length;
+        u.speed.value = cfg.speed;
+        u.jitter.value = cfg.jitter || 0.5;
+        u.intoScreen.value = pull > 0.1 ? 1 : 0;
+        u.density.value = Math.min(1, 600 / this.count); // Overall glow of the 120-particle CPU jets
+        if (typeof window !== 'undefined') u.pointScale.value = window.innerHeight * 0.5 * Math.min(window.devicePixelRatio || 1, 2);
+    }
+
+    dispose() {
+        if (this.points) {
+            this.scene.remove(this.points);
+            this.geometry.dispose();
+            this.material.dispose();
+        }
+    }
+}
@@ -0,0 +1,192 @@
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { BLACK_HOLE } from '../config.js';
+
+const MAX_HOLES = 4;
+
+/**
+ * LensingPass - гравітаційне лінзування у WebGL (повноекранний шейдер у PostFX)
+ *
+ * PostFX renders the scene into a texture, then this full-screen quad samples it through the
+ * point-lens deflection of every enabled hole: a pixel at distance r looks up r - θE²/r,
+ * faded out over BLACK_HOLE.lensing.radius + feather. θE grows with the pull.
+ * Light bent around the hole piles up as an Einstein ring at r ≈ θE; inside the horizon it is black.
+ *
+ * With `video` (AR mode) the camera feed is warped in the lens area too and covers the
+ * CSS <video> there; outside the lens the page (video + overlays) shows through as before.
+ * When no hole pulls, prepare() returns false and PostFX skips the pass.
+ */
+export class LensingPass {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.enabled = true;  // QUALITY tier (canvas ring in HUD otherwise)
+        this.active = false;  // Distorting this frame (HUD skips its canvas approximation)
+
+        this.size = new THREE.Vector2();
+        this.renderer.getDrawingBufferSize(this.size);
+
+        this.videoTexture = null;
+        this.tmpV = new THREE.Vector3();
+        this.tmpR = new THREE.Vector3();
+        this.tmpE = new THREE.Vector3();
+
+        this.material = new THREE.ShaderMaterial({
+            defines: { MAX_HOLES },
+            uniforms: {
+                tScene: { value: null },
+                tVideo: { value: null },
+                useVideo: { value: 0 },
+                videoCrop: { value: new THREE.Vector4(1, 1, 0, 0) },
+                resolution: { value: this.size },
+                holes: { value: Array.from({ length: MAX_HOLES }, () => new THREE.Vector4()) },
+                falloff: { value: Array.from({ length: MAX_HOLES }, () => new THREE.Vector2()) },
+                holeCount: { value: 0 },
+                ringColor: { value: new THREE.Color(1.0, 0.63, 0.24) },
+                ringStrength: { value: 0 }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = vec4(position.xy, 0.0, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D tScene;
+                uniform sampler2D tVideo;
+                uniform float useVideo;
+                uniform vec4 videoCrop;
+                uniform vec2 resolution;
+                uniform vec4 holes[MAX_HOLES];   // center uv, thetaE px, horizon px
+                uniform vec2 falloff[MAX_HOLES]; // radius px, feather px
+                uniform int holeCount;
+                uniform vec3 ringColor;
+                uniform float ringStrength;
+                varying vec2 vUv;
+
+                void main() {
+                    vec2 p = vUv * resolution;
+                    vec2 offset = vec2(0.0);
+                    float shadow = 0.0;
+                    float ring = 0.0;
+                    float mask = 0.0;
+
+                    for (int i = 0; i < MAX_HOLES; i++) {
+                        if (i >= holeCount) break;
+                        vec2 d = p - holes[i].xy * resolution;
+                        float r = max(length(d), 0.001);
+                        float thetaE = holes[i].z;
+                        float w = 1.0 - smoothstep(falloff[i].x, falloff[i].x + falloff[i].y, r);
+
+                        // Point lens: the ray seen at r comes from r - thetaE^2 / r
+                        offset += d / r * (thetaE * thetaE / r) * w;
+                        shadow = max(shadow, 1.0 - smoothstep(holes[i].w * 0.9, holes[i].w, r));
+                        float x = (r - thetaE) / max(thetaE * 0.12, 1.0);
+                        ring += exp(-x * x) * w;
+                        mask = max(mask, w);
+                    }
+
+                    vec2 src = (p - offset) / resolution;
+                    vec4 col = texture2D(tScene, src); // premultiplied, as the canvas expects
+
+                    // AR feed under the scene, mirrored + object-fit: cover like the CSS video
+                    if (useVideo > 0.5) {
+                        vec2 vuv = vec2(1.0 - src.x, src.y) * videoCrop.xy + videoCrop.zw;
+                        float m = mask * (1.0 - col.a);
+                        col.rgb += texture2D(tVideo, vuv).rgb * m;
+                        col.a += m;
+                    }
+
+                    float glow = ring * ringStrength;
+                    col.rgb += ringColor * glow;
+                    col.a = clamp(col.a + glow, 0.0, 1.0);
+                    gl_FragColor = mix(col, vec4(0.0, 0.0, 0.0, 1.0), shadow);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.quad.frustumCulled = false;
+        this.quadScene = new THREE.Scene();
+        this.quadScene.add(this.quad);
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    }
+
+    // Screen-space lens of each hole: center uv, Einstein radius and horizon in drawing-buffer pixels
+    _updateHoles(camera, holes, pull) {
+        const cfg = BLACK_HOLE.lensing;
+        const u = this.material.uniforms;
+        this.tmpR.set(1, 0, 0).applyQuaternion(camera.quaternion);
+
+        let n = 0;
+        for (const hole of holes) {
+            if (!hole.enabled || n >= MAX_HOLES) continue;
+            const c = this.tmpV.copy(hole.pos).project(camera);
+            if (c.z > 1) continue; // Behind the camera
+
+            // World length -> pixels at the hole's depth
+            const edge = this.tmpE.copy(hole.pos).add(this.tmpR).project(camera);
+            const pxPerUnit = Math.abs(edge.x - c.x) * this.size.x * 0.5;
+            const params = hole.params || BLACK_HOLE;
+            const radius = cfg.radius * pxPerUnit * (params.horizonRadius / BLACK_HOLE.horizonRadius);
+
+            u.holes.value[n].set(c.x * 0.5 + 0.5, c.y * 0.5 + 0.5, radius * cfg.strength * pull, params.horizonRadius * 0.8 * pxPerUnit * pull);
+            u.falloff.value[n].set(radius, cfg.feather * pxPerUnit);
+            n++;
+        }
+        u.holeCount.value = n;
+        u.ringStrength.value = 0.35 * pull;
+        return n > 0;
+    }
+
+    _updateVideo(video) {
+        const u = this.material.uniforms;
+        if (!video || !BLACK_HOLE.lensing.warpVideo || video.readyState < 2) {
+            u.useVideo.value = 0;
+            return;
+        }
+        if (!this.videoTexture || this.videoTexture.image !== video) {
+            if (this.videoTexture) this.videoTexture.dispose();
+            this.videoTexture = new THREE.VideoTexture(video);
+            u.tVideo.value = this.videoTexture;
+        }
+
+        // object-fit: cover (MathUtils.getScreenPos): visible part of the video in its uv
+        const W = this.size.x, H = this.size.y;
+        const scale = Math.max(W / video.videoWidth, H / video.videoHeight);
+        const sw = video.videoWidth * scale, sh = video.videoHeight * scale;
+        u.videoCrop.value.set(W / sw, H / sh, (sw - W) / (2 * sw), (sh - H) / (2 * sh));
+        u.useVideo.value = 1;
+    }
+
+    /**
+     * Set up this frame's lenses; false = nothing to bend (PostFX skips the pass).
+     * @param {Singularity[]} holes - PhysicsWorld.singularities
+     * @param {number} pull - STATE.blackHolePull
+     * @param {HTMLVideoElement} [video] - AR feed to warp as well
+     */
+    prepare(camera, holes, pull = 0, video = null) {
+        const cfg = BLACK_HOLE.lensing;
+        this.active = this.enabled && cfg && cfg.enabled && pull > 0.01 && !!holes;
+        if (!this.active) return false;
+
+        this.renderer.getDrawingBufferSize(this.size);
+        this.active = this._updateHoles(camera, holes, Math.min(1, pull));
+        if (this.active) this._updateVideo(video);
+        return this.active;
+    }
+
+    // Warp `input` (scene texture) into `output` (render target, null = screen)
+    render(input, output) {
+        this.material.uniforms.tScene.value = input;
+        this.renderer.setRenderTarget(output);
+        this.renderer.render(this.quadScene, this.quadCamera);
+    }
+
+    dispose() {
+        this.material.dispose();
+        this.quad.geometry.dispose();
+        if (this.videoTexture) this.videoTexture.dispose();
+    }
+}
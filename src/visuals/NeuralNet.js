@@ -10,6 +10,7 @@ export class NeuralNet {
         this.neuronCount = 15;
         this.tmpVec = new THREE.Vector3();
         this.tmpVec2 = new THREE.Vector3();
+        this.emerge = null; // White-hole rebirth in progress (emergeFrom)
         this.init();
     }
 
@@ -76,6 +77,7 @@ export class NeuralNet {
 
     // Reset neurons to original positions
     reset() {
+        this.emerge = null;
         this.neurons.forEach(neuron => {
             neuron.userData.basePos.copy(neuron.userData.origPos);
             neuron.userData.absorbed = 0;
@@ -87,9 +89,25 @@ export class NeuralNet {
         });
     }
 
-    update(stressLevel, sphereScale, spherePos, blackHolePos = null) {
+    /**
+     * Rebirth: neurons fly out of a white hole at `origin` (world) back to their places,
+     * one after another over `stagger` seconds.
+     */
+    emergeFrom(origin, duration = 1.5, stagger = 0.8) {
+        this.reset();
+        this.emerge = { origin: origin.clone(), start: Date.now() * 0.001, duration, stagger };
+        this.neurons.forEach(neuron => {
+            neuron.userData.emergeDelay = Math.random() * stagger;
+        });
+    }
+
+    /**
+     * @param {Singularity[]} [singularities] - Suction adds up over every enabled hole (PhysicsWorld.singularities)
+     */
+    update(stressLevel, sphereScale, spherePos, singularities = null) {
         const t = Date.now() * 0.001;
-        const bhActive = STATE.mode === 'SINGULARITY' && STATE.blackHolePull > 0.01;
+        const holes = singularities ? singularities.filter(s => s.enabled) : [];
+        const bhActive = STATE.mode === 'SINGULARITY' && STATE.blackHolePull > 0.01 && holes.length > 0;
         const pull = STATE.blackHolePull || 0;
         const suctionSpeed = BLACK_HOLE.suctionSpeed || 0.15;
 
@@ -110,37 +128,52 @@ export class NeuralNet {
                 neuron.userData.basePos.add(drift);
 
                 // === BLACK HOLE SUCTION FOR NEURONS ===
-                if (bhActive && blackHolePos) {
-                    // Convert neuron basePos to world space for comparison
-                    this.tmpVec.copy(neuron.userData.basePos)
-                        .multiplyScalar(sphereScale)
-                        .add(spherePos);
-
-                    // Direction FROM neuron (world) TO black hole (world)
-                    this.tmpVec2.copy(blackHolePos).sub(this.tmpVec);
-                    const distToBH = this.tmpVec2.length();
-
-                    if (distToBH < BLACK_HOLE.influenceRadius) {
-                        // Normalize direction
-                        this.tmpVec2.normalize();
-
-                        // Pull strength (inverse square, slower than sphere)
-                        const pullStrength = suctionSpeed * pull * 0.5 / (distToBH * 0.1 + 1);
-
-                        // Apply suction to basePos (in LOCAL space, so scale down)
-                        const localPull = pullStrength / sphereScale;
-                        neuron.userData.basePos.addScaledVector(this.tmpVec2, localPull);
-
-                        // Swirl effect (local space)
-                        const swirlX = -this.tmpVec2.y * BLACK_HOLE.spin * 0.02 * pull / sphereScale;
-                        const swirlY = this.tmpVec2.x * BLACK_HOLE.spin * 0.02 * pull / sphereScale;
-                        neuron.userData.basePos.x += swirlX;
-                        neuron.userData.basePos.y += swirlY;
-
-                        // Absorption near horizon
-                        if (distToBH < BLACK_HOLE.horizonRadius * 3) {
-                            neuron.userData.absorbed = Math.min(1, neuron.userData.absorbed + 0.015 * pull);
+                if (bhActive) {
+                    for (const hole of holes) {
+                        const cfg = hole.params || BLACK_HOLE;
+                        const blackHolePos = hole.pos;
+
+                        // Convert neuron basePos to world space for comparison
+                        this.tmpVec.copy(neuron.userData.basePos)
+                            .multiplyScalar(sphereScale)
+                            .add(spherePos);
+
+                        // Direction FROM neuron (world) TO black hole (world)
+                        this.tmpVec2.copy(blackHolePos).sub(this.tmpVec);
+                        const distToBH = this.tmpVec2.length();
+
+                        if (distToBH < cfg.influenceRadius) {
+                            // Normalize direction
+                            this.tmpVec2.normalize();
+
+                            // Pull strength (inverse square, slower than sphere)
+                            const pullStrength = suctionSpeed * pull * 0.5 / (distToBH * 0.1 + 1);
+
+                            // Apply suction to basePos (in LOCAL space, so scale down)
+                            const localPull = pullStrength / sphereScale;
+                            neuron.userData.basePos.addScaledVector(this.tmpVec2, localPull);
+
+                            // Swirl effect (local space)
+                            const swirlX = -this.tmpVec2.y * cfg.spin * 0.02 * pull / sphereScale;
+                            const swirlY = this.tmpVec2.x * cfg.spin * 0.02 * pull / sphereScale;
+                            neuron.userData.basePos.x += swirlX;
+                            neuron.userData.basePos.y += swirlY;
+
+                            // Absorption near horizon
+                            if (distToBH < cfg.horizonRadius * 3) {
+                                neuron.userData.absorbed = Math.min(1, neuron.userData.absorbed + 0.015 * pull);
+                            }
                         }
+
+                        // 1. Black Hole Pull (Suction into the tunnel)
+                        // We pull the internal 'basePos' towards the deeper target
+                        const targetZ = blackHolePos.z - (cfg.tunnelDepth || 8);
+                        this.tmpVec.set(blackHolePos.x, blackHolePos.y, targetZ);
+                        this.tmpVec2.copy(this.tmpVec).sub(neuron.userData.basePos);
+
+                        const distToTunnel = this.tmpVec2.length();
+                        const force = (pull * suctionSpeed * 0.15) / (distToTunnel * 0.1 + 1.0);
+                        neuron.userData.driftVel.addScaledVector(this.tmpVec2.normalize(), force);
                     }
 
                     // === SHRINK BASEPOS when absorbed (pull to center in local space) ===
@@ -151,19 +184,6 @@ export class NeuralNet {
                     }
                 }
 
-                // === PHYSICAL FORCES ON NEURONS ===
-                if (bhActive && blackHolePos) {
-                    // 1. Black Hole Pull (Suction into the tunnel)
-                    // We pull the internal 'basePos' towards the deeper target
-                    const targetZ = blackHolePos.z - (BLACK_HOLE.tunnelDepth || 8);
-                    this.tmpVec.set(blackHolePos.x, blackHolePos.y, targetZ);
-                    this.tmpVec2.copy(this.tmpVec).sub(neuron.userData.basePos);
-
-                    const distToBH = this.tmpVec2.length();
-                    const force = (pull * suctionSpeed * 0.15) / (distToBH * 0.1 + 1.0);
-                    neuron.userData.driftVel.addScaledVector(this.tmpVec2.normalize(), force);
-                }
-
                 // 2. Center of Mass Attraction (Keep them inside the sphere)
                 const centeringForce = baseActivity * 0.005;
                 neuron.userData.driftVel.addScaledVector(neuron.userData.basePos, -centeringForce);
@@ -222,7 +242,17 @@ export class NeuralNet {
                 .multiplyScalar(sphereScale)
                 .add(spherePos)
                 .addScaledVector(neuron.userData.unitDir, offset);
+
+            // Rebirth: on the way out of the white hole
+            if (this.emerge) {
+                const e = this.emerge;
+                const k = Math.min(1, Math.max(0, (t - e.start - neuron.userData.emergeDelay) / e.duration));
+                const ease = 1 - Math.pow(1 - k, 3);
+                neuron.position.lerpVectors(e.origin, neuron.position, ease);
+                neuron.scale.multiplyScalar(Math.max(0.01, ease));
+            }
         });
+        if (this.emerge && t - this.emerge.start > this.emerge.stagger + this.emerge.duration) this.emerge = null;
 
         this.synapses.forEach((synapse, i) => {
             const pulse = Math.sin(t * 4 + i * 0.5) * 0.5 + 0.5;
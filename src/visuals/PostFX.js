@@ -0,0 +1,253 @@
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { POSTFX } from '../config.js';
+import { LensingPass } from './LensingPass.js';
+
+const QUAD_VERTEX = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+/**
+ * PostFX - пост-обробка кадру (EffectComposer-подібний ланцюжок)
+ *
+ *   scene -> [lensing] -> [bloom: bright pass + blur at half res] -> composite -> screen
+ *
+ * Composite adds the bloom, splits red/blue by STATE.stressEMA (chromatic aberration) and
+ * draws grain, scanlines and the AR colour grade in-shader. Scanlines and grade go *under*
+ * the scene, like the CSS .scanlines / .color-grade layers they replace (those only tinted the video).
+ * Output stays premultiplied with alpha, so the page (AR video) still shows through the canvas.
+ * Effects switch per QUALITY tier (setQuality); with nothing to do it is a plain renderer.render().
+ */
+export class PostFX {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.enabled = POSTFX.enabled;
+        this.effects = { bloom: true, chroma: true, grain: true, look: true };
+        this.lensing = new LensingPass(renderer);
+
+        this.size = new THREE.Vector2();
+        renderer.getDrawingBufferSize(this.size);
+        const w = this.size.x, h = this.size.y;
+        const SceneRT = renderer.capabilities.isWebGL2 ? THREE.WebGLMultisampleRenderTarget : THREE.WebGLRenderTarget;
+        this.sceneTarget = new SceneRT(w, h, { format: THREE.RGBAFormat }); // Keeps antialiasing on WebGL2
+        this.target = new THREE.WebGLRenderTarget(w, h, { format: THREE.RGBAFormat });
+        this.bloomA = new THREE.WebGLRenderTarget(w >> 1, h >> 1, { format: THREE.RGBAFormat });
+        this.bloomB = new THREE.WebGLRenderTarget(w >> 1, h >> 1, { format: THREE.RGBAFormat });
+
+        this.brightMat = new THREE.ShaderMaterial({
+            uniforms: { tInput: { value: null }, threshold: { value: 0.55 } },
+            vertexShader: QUAD_VERTEX,
+            fragmentShader: `
+                uniform sampler2D tInput;
+                uniform float threshold;
+                varying vec2 vUv;
+                void main() {
+                    vec4 c = texture2D(tInput, vUv);
+                    float l = max(c.r, max(c.g, c.b));
+                    gl_FragColor = vec4(c.rgb * smoothstep(threshold, threshold + 0.2, l), 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.blurMat = new THREE.ShaderMaterial({
+            uniforms: { tInput: { value: null }, direction: { value: new THREE.Vector2() } },
+            vertexShader: QUAD_VERTEX,
+            fragmentShader: `
+                uniform sampler2D tInput;
+                uniform vec2 direction; // texel step * radius
+                varying vec2 vUv;
+                void main() {
+                    // 9-tap gaussian
+                    vec3 sum = texture2D(tInput, vUv).rgb * 0.2270;
+                    sum += texture2D(tInput, vUv + direction * 1.3846).rgb * 0.3162;
+                    sum += texture2D(tInput, vUv - direction * 1.3846).rgb * 0.3162;
+                    sum += texture2D(tInput, vUv + direction * 3.2308).rgb * 0.0703;
+                    sum += texture2D(tInput, vUv - direction * 3.2308).rgb * 0.0703;
+                    gl_FragColor = vec4(sum, 1.0);
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.compositeMat = new THREE.ShaderMaterial({
+            uniforms: {
+                tInput: { value: null },
+                tBloom: { value: null },
+                bloomStrength: { value: 0 },
+                chroma: { value: 0 },
+                grain: { value: 0 },
+                scanlines: { value: 0 },
+                grade: { value: 0 },
+                time: { value: 0 },
+                resolution: { value: this.size }
+            },
+            vertexShader: QUAD_VERTEX,
+            fragmentShader: `
+                uniform sampler2D tInput;
+                uniform sampler2D tBloom;
+                uniform float bloomStrength;
+                uniform float chroma;     // px at the screen edge
+                uniform float grain;
+                uniform float scanlines;
+                uniform float grade;
+                uniform float time;
+                uniform vec2 resolution;
+                varying vec2 vUv;
+
+                float hash(vec2 p) { return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453); }
+
+                // Premultiplied "under": layer shows only where the scene is transparent
+                vec4 under(vec4 top, vec4 layer) { return top + layer * (1.0 - top.a); }
+
+                void main() {
+                    vec2 fromCenter = vUv - 0.5;
+                    vec4 c = texture2D(tInput, vUv);
+
+                    // Chromatic aberration: red out, blue in, growing towards the edges
+                    if (chroma > 0.0) {
+                        vec2 off = fromCenter * 2.0 * chroma / resolution;
+                        c.r = texture2D(tInput, vUv + off).r;
+                        c.b = texture2D(tInput, vUv - off).b;
+                        c.a = max(c.a, max(c.r, c.b));
+                    }
+
+                    if (bloomStrength > 0.0) {
+                        vec3 b = texture2D(tBloom, vUv).rgb * bloomStrength;
+                        c.rgb += b;
+                        c.a = clamp(max(c.a, max(b.r, max(b.g, b.b))), 0.0, 1.0);
+                    }
+
+                    // Film grain on the content
+                    if (grain > 0.0) {
+                        float n = hash(gl_FragCoord.xy + fract(time) * 97.0) - 0.5;
+                        c.rgb = max(c.rgb + n * grain * c.a, 0.0);
+                    }
+
+                    // AR look (was CSS): scanlines every 3px, warm center -> dark teal edges
+                    if (scanlines > 0.0) {
+                        float line = step(2.0, mod(gl_FragCoord.y, 3.0));
+                        c = under(c, vec4(0.0, 0.0, 0.0, 0.5 * scanlines * line));
+                    }
+                    if (grade > 0.0) {
+                        float d = smoothstep(0.0, 0.9, length(fromCenter) * 1.4);
+                        vec4 warm = vec4(vec3(1.0, 0.39, 0.2) * 0.15, 0.15);
+                        vec4 teal = vec4(vec3(0.0, 0.08, 0.12) * 0.8, 0.8);
+                        c = under(c, mix(warm, teal, d) * grade);
+                    }
+                    gl_FragColor = c;
+                }
+            `,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.compositeMat);
+        this.quad.frustumCulled = false;
+        this.quadScene = new THREE.Scene();
+        this.quadScene.add(this.quad);
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    }
+
+    // QUALITY tier: { fxBloom, fxChroma, fxGrain, fxLook, glLensing }
+    setQuality(tier) {
+        this.effects.bloom = !!tier.fxBloom;
+        this.effects.chroma = !!tier.fxChroma;
+        this.effects.grain = !!tier.fxGrain;
+        this.effects.look = !!tier.fxLook;
+        this.lensing.enabled = !!tier.glLensing;
+    }
+
+    // The in-shader AR look replaces the CSS overlays (main.js hides them via body.postfx-look)
+    get handlesLook() {
+        return this.enabled && this.effects.look && !POSTFX.cssOverlays;
+    }
+
+    _resize() {
+        this.renderer.getDrawingBufferSize(this.size);
+        const w = this.size.x, h = this.size.y;
+        if (this.target.width === w && this.target.height === h) return;
+        this.sceneTarget.setSize(w, h);
+        this.target.setSize(w, h);
+        this.bloomA.setSize(w >> 1, h >> 1);
+        this.bloomB.setSize(w >> 1, h >> 1);
+    }
+
+    _pass(material, output) {
+        this.quad.material = material;
+        this.renderer.setRenderTarget(output);
+        this.renderer.render(this.quadScene, this.quadCamera);
+    }
+
+    /**
+     * Draw the frame (replaces renderer.render).
+     * @param {Object} [frame]
+     * @param {Singularity[]} [frame.holes] - PhysicsWorld.singularities (lensing)
+     * @param {number} [frame.pull] - STATE.blackHolePull
+     * @param {HTMLVideoElement} [frame.video] - AR feed to warp inside the lens
+     * @param {number} [frame.stress] - STATE.stressEMA (chromatic aberration)
+     * @param {boolean} [frame.ar] - AR mode (scanlines / colour grade)
+     */
+    render(scene, camera, { holes = null, pull = 0, video = null, stress = 0, ar = false } = {}) {
+        const renderer = this.renderer;
+        const fx = this.effects;
+        const look = ar && this.handlesLook;
+        const lens = this.lensing.prepare(camera, holes, pull, video);
+        const composite = this.enabled && (fx.bloom || fx.chroma || fx.grain || look);
+
+        renderer.setRenderTarget(null);
+        if (!lens && !composite) {
+            renderer.render(scene, camera);
+            return;
+        }
+
+        this._resize();
+        renderer.setRenderTarget(this.sceneTarget);
+        renderer.render(scene, camera);
+        let input = this.sceneTarget.texture;
+
+        if (lens) {
+            this.lensing.render(input, composite ? this.target : null);
+            if (!composite) return;
+            input = this.target.texture;
+        }
+
+        const u = this.compositeMat.uniforms;
+        if (fx.bloom) {
+            const cfg = POSTFX.bloom;
+            this.brightMat.uniforms.tInput.value = input;
+            this.brightMat.uniforms.threshold.value = cfg.threshold;
+            this._pass(this.brightMat, this.bloomA);
+
+            const step = cfg.radius;
+            this.blurMat.uniforms.tInput.value = this.bloomA.texture;
+            this.blurMat.uniforms.direction.value.set(step / this.bloomA.width, 0);
+            this._pass(this.blurMat, this.bloomB);
+            this.blurMat.uniforms.tInput.value = this.bloomB.texture;
+            this.blurMat.uniforms.direction.value.set(0, step / this.bloomA.height);
+            this._pass(this.blurMat, this.bloomA);
+        }
+
+        u.tInput.value = input;
+        u.tBloom.value = this.bloomA.texture;
+        u.bloomStrength.value = fx.bloom ? POSTFX.bloom.strength : 0;
+        u.chroma.value = fx.chroma ? POSTFX.chroma.base + POSTFX.chroma.stress * stress : 0;
+        u.grain.value = fx.grain ? POSTFX.grain : 0;
+        u.scanlines.value = look ? POSTFX.scanlines : 0;
+        u.grade.value = look ? POSTFX.grade : 0;
+        u.time.value = (performance.now() * 0.001) % 1000;
+        this._pass(this.compositeMat, null);
+    }
+
+    dispose() {
+        this.lensing.dispose();
+        for (const t of [this.sceneTarget, this.target, this.bloomA, this.bloomB]) t.dispose();
+        for (const m of [this.brightMat, this.blurMat, this.compositeMat]) m.dispose();
+        this.quad.geometry.dispose();
+    }
+}
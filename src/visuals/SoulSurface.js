@@ -0,0 +1,203 @@
+import * as THREE from 'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.module.js';
+import { SURFACE } from '../config.js';
+import { weldVertices } from '../utils/MathUtils.js';
+
+/**
+ * SoulSurface - затінена поверхня душі (альтернатива wireframe)
+ *
+ * Keeps the mesh's MeshBasicMaterial (wireframe) and a ShaderMaterial side by side and swaps
+ * mesh.material between them. In 'shaded' mode every frame:
+ *   - smooth normals are rebuilt from the rendered positions (face normals averaged over welded corners)
+ *   - `dent` = how far each vertex sank below its original radius (normalized, < 0 = bulge)
+ * The shader lights the stress vertex colors with a fresnel rim, a wrap-lit subsurface glow that
+ * grows in dents and with STATE.stressEMA, and an optional thin-film iridescence on the rim.
+ * `color` is shared with the wireframe material, so voice / gesture recolors work in both modes.
+ */
+export class SoulSurface {
+    constructor(mesh) {
+        this.mesh = mesh;
+        this.basic = mesh.material;
+        this.geometry = mesh.geometry;
+        this.mode = 'wireframe';
+
+        const pos = this.geometry.attributes.position;
+        this.count = pos.count;
+        this.origPos = Float32Array.from(pos.array);
+        // Coincident corners of the non-indexed sphere share a normal
+        ({ weld: this.weld, groupCount: this.groupCount } = weldVertices(this.origPos));
+
+        let sum = 0;
+        for (let i = 0; i < this.count; i++) sum += Math.hypot(this.origPos[i * 3], this.origPos[i * 3 + 1], this.origPos[i * 3 + 2]);
+        this.radius = sum / Math.max(1, this.count);
+
+        if (!this.geometry.attributes.normal) {
+            this.geometry.setAttribute('normal', new THREE.BufferAttribute(new Float32Array(this.count * 3), 3));
+        }
+        this.dent = new Float32Array(this.count);
+        this.geometry.setAttribute('dent', new THREE.BufferAttribute(this.dent, 1));
+        this._groupNormals = new Float32Array(this.groupCount * 3);
+
+        this.shaded = new THREE.ShaderMaterial({
+            uniforms: {
+                tint: { value: this.basic.color },
+                opacity: { value: 1 },
+                time: { value: 0 },
+                stress: { value: 0 },
+                rimPower: { value: SURFACE.rimPower },
+                rimStrength: { value: SURFACE.rimStrength },
+                glow: { value: SURFACE.glow },
+                dentGain: { value: SURFACE.dentGain },
+                iridescence: { value: SURFACE.iridescence }
+            },
+            vertexShader: `
+                attribute float dent;
+                varying vec3 vColor;
+                varying vec3 vNormal;
+                varying vec3 vView;
+                varying float vDent;
+
+                void main() {
+                    vColor = color;
+                    vDent = dent;
+                    vec4 mvPos = modelViewMatrix * vec4(position, 1.0);
+                    vNormal = normalize(normalMatrix * normal);
+                    vView = normalize(-mvPos.xyz);
+                    gl_Position = projectionMatrix * mvPos;
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 tint;
+                uniform float opacity;
+                uniform float time;
+                uniform float stress;
+                uniform float rimPower;
+                uniform float rimStrength;
+                uniform float glow;
+                uniform float dentGain;
+                uniform float iridescence;
+                varying vec3 vColor;
+                varying vec3 vNormal;
+                varying vec3 vView;
+                varying float vDent;
+
+                void main() {
+                    vec3 n = normalize(vNormal);
+                    vec3 v = normalize(vView);
+                    vec3 albedo = vColor * tint;
+
+                    // Key light from the top-left, wrapped so the dark side still glows through the skin
+                    vec3 l = normalize(vec3(-0.5, 0.7, 0.6));
+                    float ndl = dot(n, l);
+                    float diffuse = max(ndl, 0.0);
+                    float wrap = max((ndl + 0.6) / 1.6, 0.0);
+                    float spec = pow(max(dot(n, normalize(l + v)), 0.0), 48.0);
+                    float fresnel = pow(1.0 - max(dot(n, v), 0.0), rimPower);
+
+                    // Dents read as darker creases with a hot core; stress brightens the whole skin
+                    float dent = max(vDent, 0.0) * dentGain;
+                    float bulge = max(-vDent, 0.0) * dentGain;
+                    float sss = glow * wrap * (1.0 + dent * 1.5 + stress);
+
+                    vec3 col = albedo * (0.15 + diffuse * 0.55 * (1.0 - min(dent, 0.7)));
+                    col += albedo * sss;
+                    col += vec3(spec) * (0.4 + bulge);
+
+                    // Thin-film iridescence: hue cycles with the viewing angle on the rim
+                    vec3 film = 0.5 + 0.5 * cos(6.28318 * (fresnel * 1.5 + vec3(0.0, 0.33, 0.67)) + time * 0.5);
+                    vec3 rimColor = mix(albedo, film, iridescence);
+                    col += rimColor * fresnel * rimStrength * (1.0 + stress * 0.5);
+
+                    float alpha = clamp(opacity * (0.55 + 0.45 * fresnel + dent * 0.3), 0.0, 1.0);
+                    gl_FragColor = vec4(col, alpha);
+                }
+            `,
+            vertexColors: true,
+            transparent: true,
+            depthWrite: true,
+            side: THREE.FrontSide
+        });
+        this.shaded.color = this.basic.color; // Same THREE.Color as the wireframe (mesh.material.color stays valid)
+    }
+
+    /**
+     * @param {string} mode - 'wireframe' | 'shaded'
+     */
+    setMode(mode) {
+        this.mode = mode === 'shaded' ? 'shaded' : 'wireframe';
+        const next = this.mode === 'shaded' ? this.shaded : this.basic;
+        next.opacity = this.mesh.material.opacity; // Singularity fades whichever material is on the mesh
+        this.mesh.material = next;
+        if (this.mode === 'shaded') this.update(0, 0);
+    }
+
+    // Area-weighted face normals summed per welded corner
+    _updateNormals(pos) {
+        const n = this._groupNormals;
+        const weld = this.weld;
+        n.fill(0);
+        for (let t = 0; t < this.count; t += 3) {
+            const a = t * 3, b = a + 3, c = a + 6;
+            const e1x = pos[b] - pos[a], e1y = pos[b + 1] - pos[a + 1], e1z = pos[b + 2] - pos[a + 2];
+            const e2x = pos[c] - pos[a], e2y = pos[c + 1] - pos[a + 1], e2z = pos[c + 2] - pos[a + 2];
+            const nx = e1y * e2z - e1z * e2y;
+            const ny = e1z * e2x - e1x * e2z;
+            const nz = e1x * e2y - e1y * e2x;
+            for (let k = 0; k < 3; k++) {
+                const g = weld[t + k] * 3;
+                n[g] += nx; n[g + 1] += ny; n[g + 2] += nz;
+            }
+        }
+
+        const normals = this.geometry.attributes.normal.array;
+        for (let i = 0; i < this.count; i++) {
+            const g = weld[i] * 3;
+            const len = Math.hypot(n[g], n[g + 1], n[g + 2]) || 1;
+            normals[i * 3] = n[g] / len;
+            normals[i * 3 + 1] = n[g + 1] / len;
+            normals[i * 3 + 2] = n[g + 2] / len;
+        }
+        this.geometry.attributes.normal.needsUpdate = true;
+    }
+
+    // Radial sink below the original sphere, relative to the body's current center
+    _updateDents(pos) {
+        const com = this.mesh.userData.centerOfMass;
+        const cx = com ? com.x : 0, cy = com ? com.y : 0, cz = com ? com.z : 0;
+        const o = this.origPos;
+        const depth = this.radius * 0.25; // Dent of a quarter radius = full effect
+        for (let i = 0; i < this.count; i++) {
+            const idx = i * 3;
+            const r0 = Math.hypot(o[idx], o[idx + 1], o[idx + 2]);
+            const r = Math.hypot(pos[idx] - cx, pos[idx + 1] - cy, pos[idx + 2] - cz);
+            this.dent[i] = Math.max(-1, Math.min(1, (r0 - r) / depth));
+        }
+        this.geometry.attributes.dent.needsUpdate = true;
+    }
+
+    /**
+     * Recompute normals / dents from the rendered positions (after PhysicsWorld.interpolate).
+     * @param {number} dt - Frame time in seconds
+     * @param {number} stress - STATE.stressEMA
+     */
+    update(dt, stress = 0) {
+        if (this.mode !== 'shaded') return;
+        const pos = this.geometry.attributes.position.array;
+        this._updateNormals(pos);
+        this._updateDents(pos);
+
+        const u = this.shaded.uniforms;
+        u.time.value += dt;
+        u.opacity.value = this.shaded.opacity;
+        u.stress.value = Math.min(1, stress * SURFACE.stressGain);
+        u.rimPower.value = SURFACE.rimPower;
+        u.rimStrength.value = SURFACE.rimStrength;
+        u.glow.value = SURFACE.glow;
+        u.dentGain.value = SURFACE.dentGain;
+        u.iridescence.value = SURFACE.iridescence;
+    }
+
+    dispose() {
+        this.mesh.material = this.basic;
+        this.shaded.dispose();
+    }
+}
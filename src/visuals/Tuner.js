@@ -1,3 +1,6 @@
+import { CFG, MATERIALS, SURFACE, SMOOTHING, SMOOTHING_PRESETS } from '../config.js';
+import { setSmoothingPreset } from '../utils/OneEuroFilter.js';
+
 export class Tuner {
     constructor(state, config, containerId = "tuning-overlay", neuralNet = null, sphere = null, physics = null) {
         this.state = state;
@@ -6,9 +9,12 @@ export class Tuner {
         this.sphere = sphere;
         this.physics = physics;
         this.visible = false;
+        this.sliders = []; // { prop, source, input, valEl } for refresh()
 
         // Store default values for reset
         this.defaults = { ...config };
+        this.defaultMaterial = CFG.material;
+        this.defaultSmoothing = SMOOTHING.preset; // Device pick from main.js
 
         this.initUI(containerId);
         window.addEventListener('keydown', (e) => {
@@ -50,6 +56,87 @@ export class Tuner {
         this.addSlider("Tidal Str", "tidalStrength", 0, 5.0, 0.1, (v) => this.config.tidalStrength = v);
         this.addSlider("Швидкість Всмоктування", "suctionSpeed", 0.01, 0.5, 0.01, (v) => this.config.suctionSpeed = v);
         this.addValue("Current Pull", () => this.state.blackHolePull.toFixed(2));
+        this.addValue("Live Mass", () => this.physics ? this.physics.singularities.map(h => h.params.mass.toFixed(0)).join(' + ') : '-');
+        this.addValue("Absorbed", () => {
+            if (!this.physics) return '-';
+            let vertices = 0, neurons = 0;
+            for (const h of this.physics.singularities) {
+                vertices += h.swallowed.vertices;
+                neurons += h.swallowed.neurons;
+            }
+            return `${vertices.toFixed(0)} vtx / ${neurons.toFixed(1)} neurons`;
+        });
+        this.spawnSelect = this.addSelect("Поява", { corner: { label: 'Кут' }, fist: { label: 'Кулак' } }, this.config.spawn, (v) => {
+            this.config.spawn = v;
+            if (this.physics) this.physics.singularity.resetPlacement();
+        });
+        this.releaseSelect = this.addSelect("Після", { stay: { label: 'Лишається' }, drift: { label: 'Дрейфує' } }, this.config.release, (v) => this.config.release = v);
+
+        this.addSeparator();
+        this.addHeader("🧪 SOFT BODY MATERIAL");
+        this.materialSelect = this.addSelect("Матеріал", MATERIALS, CFG.material, (name) => {
+            if (this.physics) this.physics.setMaterial(name);
+            this.refresh();
+        });
+        this.renderSelect = this.addSelect("Рендер", { wireframe: { label: 'Сітка' }, shaded: { label: 'Поверхня' } }, SURFACE.mode, (mode) => {
+            if (this.physics) this.physics.setRenderMode(mode);
+        });
+        this.addSlider("Iridescence", "iridescence", 0, 1, 0.05, (v) => SURFACE.iridescence = v, SURFACE);
+        this.addSlider("Spring", "spring", 0.005, 0.2, 0.005, (v) => CFG.spring = v, CFG);
+        this.addSlider("Damping", "damping", 0.5, 0.99, 0.01, (v) => CFG.damping = v, CFG);
+        this.addSlider("Plasticity", "plasticity", 0, 0.3, 0.01, (v) => CFG.plasticity = v, CFG);
+        this.addSlider("Yield", "yieldDist", 0, 2, 0.05, (v) => CFG.yieldDist = v, CFG);
+        this.addSlider("Volume", "volume", 0, 1, 0.05, (v) => CFG.volume = v, CFG);
+        this.addSlider("Rupture At", "ruptureThreshold", 0.2, 4, 0.1, (v) => CFG.ruptureThreshold = v, CFG);
+        this.addValue("Pressure", () => this.physics ? this.physics.softBody.pressure.toFixed(2) : '-');
+        this.addSlider("Tear Strain", "tearStrain", 0, 12, 0.5, (v) => CFG.tearStrain = v, CFG);
+        this.addValue("Fragments", () => this.physics ? this.physics.softBody.fragmentCount : '-');
+
+        this.addSeparator();
+        this.addHeader("✋ HAND FILTER");
+        this.smoothingSelect = this.addSelect("Пресет", SMOOTHING_PRESETS, SMOOTHING.preset, (name) => {
+            setSmoothingPreset(name);
+            this.refresh();
+        });
+        this.addSlider("Min Cutoff", "minCutoff", 0.1, 5, 0.1, (v) => SMOOTHING.minCutoff = v, SMOOTHING);
+        this.addSlider("Beta", "beta", 0, 20, 0.5, (v) => SMOOTHING.beta = v, SMOOTHING);
+        this.addSlider("Predict ms", "predict", 0, 120, 5, (v) => SMOOTHING.predict = v, SMOOTHING);
+    }
+
+    addSelect(label, options, current, callback) {
+        const row = document.createElement('div');
+        row.style.cssText = "display:flex; justify-content:space-between; margin-bottom:6px;";
+        row.innerHTML = `<span>${label}</span>`;
+
+        const select = document.createElement('select');
+        select.style.cssText = "background:#000; color:#00f3ff; border:1px solid #00f3ff; font-family:inherit; font-size:11px;";
+        for (const key in options) {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = options[key].label || key;
+            select.appendChild(opt);
+        }
+        select.value = current;
+        select.onchange = (e) => callback(e.target.value);
+
+        row.appendChild(select);
+        this.el.appendChild(row);
+        return select;
+    }
+
+    // Re-read slider values (presets / voice change config behind the UI)
+    refresh() {
+        for (const s of this.sliders) {
+            const v = s.source[s.prop];
+            if (v === undefined) continue;
+            s.input.value = v;
+            s.valEl.textContent = v;
+        }
+        if (this.materialSelect) this.materialSelect.value = CFG.material;
+        if (this.renderSelect) this.renderSelect.value = SURFACE.mode;
+        if (this.smoothingSelect) this.smoothingSelect.value = SMOOTHING.preset;
+        if (this.spawnSelect) this.spawnSelect.value = this.config.spawn;
+        if (this.releaseSelect) this.releaseSelect.value = this.config.release;
     }
 
     addHeader(text) {
@@ -65,7 +152,7 @@ export class Tuner {
         this.el.appendChild(s);
     }
 
-    addSlider(label, prop, min, max, step, callback) {
+    addSlider(label, prop, min, max, step, callback, source = this.config) {
         const row = document.createElement('div');
         row.style.marginBottom = "6px";
 
@@ -84,9 +171,11 @@ export class Tuner {
         input.style.cursor = "pointer";
 
         // Initial value
-        const current = this.config[prop] !== undefined ? this.config[prop] : min;
+        const current = source[prop] !== undefined ? source[prop] : min;
         input.value = current;
-        row.querySelector(`#val-${prop}`).textContent = current;
+        const valEl = row.querySelector(`#val-${prop}`);
+        valEl.textContent = current;
+        this.sliders.push({ prop, source, input, valEl });
 
         input.oninput = (e) => {
             const v = parseFloat(e.target.value);
@@ -154,14 +243,13 @@ export class Tuner {
             this.sphere.updateMatrixWorld(true);
         }
 
-        // Reset SoftBody physics
-        if (this.physics && this.physics.softBody && this.physics.softBody.reset) {
-            this.physics.softBody.reset();
+        // Back to the default material, then reset every SoftBody + Singularity effects (Visibility, Opacity)
+        if (this.physics && this.physics.setMaterial) {
+            this.physics.setMaterial(this.defaultMaterial);
         }
-
-        // Reset Singularity effects (Visibility, Opacity)
-        if (this.physics && this.physics.singularity && this.sphere) {
-            this.physics.singularity.reset(this.sphere);
+        setSmoothingPreset(this.defaultSmoothing);
+        if (this.physics && this.physics.reset) {
+            this.physics.reset();
         }
 
         // Reset Neurons
@@ -185,6 +273,7 @@ export class Tuner {
             }
         });
 
+        this.refresh();
         console.log("🔄 Скинуто до дефолту");
     }
 